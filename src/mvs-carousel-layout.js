@@ -0,0 +1,333 @@
+/**
+ * *Exports Carousel.Layout*, the Carousel's slide math, which needs neither a DOM nor MooTools. In the browser, load
+ * it before or after mvs-carousel.js; either way it ends up as `Carousel.Layout`. In Node, it's the module's export.
+ *
+ * @module Carousel
+ */
+;(function(){
+
+  "use strict";
+
+  // Copies the properties of each source over the target
+  var merge = function(target){
+    var i, key;
+    for(i = 1; i < arguments.length; i++){
+      for(key in arguments[i]){
+        if(Object.prototype.hasOwnProperty.call(arguments[i], key))
+          target[key] = arguments[i][key];
+      }
+    }
+    return target;
+  };
+
+  /**
+   * The slide math, as pure functions of the stage size, the children's sizes and the slide options. Nothing here
+   * touches the DOM, or needs MooTools; the Carousel measures, then lays out & moves from what these return. That lets
+   * the layout be worked out in Node, to test it or to pre-render the first transform on the server.
+   *
+   *     var layout = Carousel.Layout.calculate({ 'stage-size':1000, children:[300, 300, 300, 300] }, { 'slide-alignment':'start' });
+   *     layout.slides;                             // 2
+   *     Carousel.Layout.getSlideTarget(layout, 1); // 200, pinned to the end since the ends are sticky
+   *
+   * Offsets are along the axis, from the start of the first child, so the strip is translated by the negative of one.
+   *
+   * @namespace Carousel.Layout
+   * @memberof! module:Carousel
+   */
+  var Layout = {
+
+    /**
+     * The options a layout is calculated with, as on the Carousel, though `slide-alignment` must be the
+     * logical 'start', 'center' or 'end'
+     */
+    defaults: {
+      'slide-size': null,
+      'slide-mode': 'multiple',
+      'slide-alignment': 'center',
+      'slide-ends-alignment': 'sticky'
+    },
+
+    /**
+     * Calculates a layout. The children can be their sizes, laid end to end, or their `{start, end}` bounds
+     * when there's spacing between them. The total size defaults to the end of the last child.
+     *
+     * @memberof! module:Carousel.Layout
+     * @param {Object} measurements The `stage-size`, the `children` and, optionally, the `total-size`
+     * @param {Object} [options]    The options, as in Layout.defaults
+     * @return {Object} The layout; the `stage-size`, `total-size`, `slide-size`, `slide-offset-left` & `-right`, the
+     *                  number of `slides`, the `pages` in 'multiple-flex' mode, the `children` bounds, the `options`,
+     *                  and a `loop-size` of 0 for the Carousel to set once it's added loop clones
+     */
+    calculate: function(measurements, options){
+      var size, totalSize, children, end, slideSize, childSize, index, slideOffsetLeft, slideOffsetRight, slides, pages;
+      options = merge({}, Layout.defaults, options);
+      size = measurements['stage-size'] || 0;
+      end = 0;
+      children = (measurements.children || []).map(function(child){
+        child = typeof(child) === 'number' ? { start:end, end:end + child } : { start:child.start, end:child.end };
+        end = child.end;
+        return child;
+      });
+      totalSize = measurements['total-size'] != null ? measurements['total-size'] : end;
+
+      // If our slide-size is null, then we're in automatic mode.
+      if(options['slide-size'] === null){
+        if(!children[0]){
+          slideSize = '100%';
+
+        }else if(options['slide-mode'] === 'single'){
+          slideSize = children[0].end - children[0].start;
+
+        }else{
+          // The default, of multi (this will also work as 'single' if each slide is greater than 50% of the width)
+          // Assume our slide size is the width of the stage subtracted by the remainder from the last fully visible child
+          // Unforatunately, we need to oop over children, not just modulo the first child's width since there
+          // could be percentage rounding by the browser CSS
+          slideSize = childSize = index = 0;
+          do{
+            slideSize += childSize;
+            childSize = children[index].end - children[index].start;
+            index++;
+          }while(slideSize + childSize <= size && children[index]);
+          // If there is no next child and out slideSize is less than the totalSize, then let's
+          // force into a single slide
+          if(!children[index] && slideSize < totalSize)
+            slideSize = "100%";
+        }
+      }else{
+        slideSize = options['slide-size'] || size;
+      }
+
+      if(String(slideSize).indexOf('%') !== -1)
+        slideSize = size * (parseInt(slideSize, 10)/100);
+
+      // When vertical, "left" & "right" are the top & bottom offsets
+      slideOffsetLeft = slideOffsetRight = (size-slideSize)/2;
+      if(options['slide-alignment'] === 'start'){
+        slideOffsetLeft = 0;
+        slideOffsetRight = slideOffsetRight*2;
+      }else if(options['slide-alignment'] === 'end'){
+        slideOffsetLeft = slideOffsetLeft*2;
+        slideOffsetRight = 0;
+      }
+
+      slides = options['slide-size'] === null && options['slide-mode'].indexOf('single') !== -1 ? children.length : Math.ceil(totalSize / slideSize);
+      if(slideSize === 0 || slides === 0)
+        slides = 1;
+
+      // Group mixed size children into pages, each with it's own offset
+      pages = null;
+      if(options['slide-size'] === null && options['slide-mode'] === 'multiple-flex' && children[0]){
+        pages = Layout.getPages(children, size, options['slide-alignment']);
+        slides = pages.length;
+        slideOffsetLeft = pages[0].offset;
+        slideOffsetRight = Math.max(0, size - (pages[pages.length-1].end - pages[pages.length-1].start) - pages[pages.length-1].offset);
+      }
+
+      return {
+        'stage-size': size,
+        'total-size': totalSize,
+        'slide-size': slideSize,
+        'slide-offset-left': slideOffsetLeft,
+        'slide-offset-right': slideOffsetRight,
+        'slides': slides,
+        'pages': pages,
+        'loop-size': 0,
+        'children': children,
+        'options': options
+      };
+    },
+
+    /**
+     * Walks the children, grouping them into pages of whole children that fit within the stage, for 'multiple-flex'.
+     * A child larger than the stage is a page of it's own.
+     *
+     * @memberof! module:Carousel.Layout
+     * @param {Array}  children  The children's `{start, end}` bounds
+     * @param {Number} size      The stage size
+     * @param {String} alignment The slide alignment; 'start', 'center' or 'end'
+     * @return {Array} The pages; each with the `start` & `end` of it's children, and the `offset` before it from the alignment
+     */
+    getPages: function(children, size, alignment){
+      var pages, page;
+      pages = [];
+      children.forEach(function(bounds){
+        if(page && bounds.end - page.start <= size)
+          page.end = bounds.end;
+        else
+          pages.push(page = { start:bounds.start, end:bounds.end });
+      });
+      pages.forEach(function(page){
+        var remainder = Math.max(0, size - (page.end - page.start));
+        page.offset = alignment === 'end' ? remainder : (alignment === 'center' ? remainder/2 : 0);
+      });
+      return pages;
+    },
+
+    /**
+     * Gets the offset that aligns a child within the stage, as single-flex mode does for each slide
+     *
+     * @memberof! module:Carousel.Layout
+     * @param {Object} layout The layout
+     * @param {Number} index  The child index
+     * @return {Number|null} The offset, or null if there's no such child
+     */
+    getChildTarget: function(layout, index){
+      var child, alignment, alignmentOffset;
+      if(!(child = layout.children[index]))
+        return null;
+      alignment = layout.options['slide-alignment'];
+      alignmentOffset = layout['stage-size'] - (child.end - child.start);
+      return child.start - (alignment === 'end' ? alignmentOffset : (alignment === 'center' ? alignmentOffset/2 : 0));
+    },
+
+    /**
+     * Gets the target offset of a slide. In single-flex mode, each child is a different size, and therefore
+     * we need to figure out where to go from the child. When sticky, the target is pinned to the ends.
+     *
+     * @memberof! module:Carousel.Layout
+     * @param {Object} layout The layout
+     * @param {Number} index  The slide index
+     * @return {Number|null} The offset, or null if there is no child or page for the slide in the flex modes
+     */
+    getSlideTarget: function(layout, index){
+      var options, target, page;
+      options = layout.options;
+      if(options['slide-size'] === null && options['slide-mode'] === 'single-flex'){
+        if((target = Layout.getChildTarget(layout, index)) === null)
+          return null;
+
+      }else if(layout.pages){
+        if(!(page = layout.pages[index]))
+          return null;
+        target = page.start - page.offset;
+
+      }else{
+        target = (index * layout['stage-size']) - ((layout['slide-offset-left']+layout['slide-offset-right']) * index) - layout['slide-offset-left'];
+      }
+
+      // If we're at the end and in "sticky" ends alignement mode, then we will
+      // pin our target to that value. When looping there are no ends to stick to.
+      // When the slides all fit within the stage, or have no size, we stick to the start.
+      if(options['slide-ends-alignment'] === 'sticky' && !(layout['loop-size'] > 0)){
+        if(target > layout['total-size'] - layout['stage-size'])
+          target = layout['total-size'] - layout['stage-size'];
+        if(target < 0)
+          target = 0;
+      }
+      return target;
+    },
+
+    /**
+     * Gets the offsets that can be reached before meeting resistance. If we're in "sticky" ends alignment mode than
+     * the end is at the end of our stage, however, if we're in aligned mode, then the end accomodates the
+     * slide offsets when/if our slides are less than 100%. When looping, there are no ends.
+     *
+     * @memberof! module:Carousel.Layout
+     * @param {Object} layout The layout
+     * @return {Object} The `min` & `max` offsets
+     */
+    getBounds: function(layout){
+      var sticky;
+      if(layout['loop-size'] > 0)
+        return { min:-Infinity, max:Infinity };
+      sticky = layout.options['slide-ends-alignment'] === 'sticky';
+      return {
+        min: 0 - (sticky ? 0 : layout['slide-offset-left']),
+        max: sticky ? Math.max(0, layout['total-size'] - layout['stage-size']) : layout['total-size'] - layout['stage-size'] + layout['slide-offset-right']
+      };
+    },
+
+    /**
+     * Gets where an offset sits; at the 'start', the 'end' or in the 'middle'. A looping layout is always in the middle.
+     *
+     * @memberof! module:Carousel.Layout
+     * @param {Object} layout The layout
+     * @param {Number} offset The offset
+     * @return {String} 'start', 'middle' or 'end'
+     */
+    getPosition: function(layout, offset){
+      if(layout['loop-size'] > 0)
+        return 'middle';
+      return offset === 0 ? 'start' : (offset === layout['total-size'] - layout['stage-size'] ? 'end' : 'middle');
+    },
+
+    /**
+     * Gets the index of the slide that contains a child
+     *
+     * @memberof! module:Carousel.Layout
+     * @param {Object} layout The layout
+     * @param {Number} index  The child index
+     * @return {Number} The slide index
+     */
+    getSlideIndexOf: function(layout, index){
+      var options, child;
+      options = layout.options;
+      child = layout.children[index];
+      if(!child)
+        index = 0;
+      else if(layout.pages)
+        index = layout.pages.filter(function(page){
+          return page.start <= child.start;
+        }).length - 1;
+      else if(options['slide-size'] !== null || options['slide-mode'].indexOf('single') === -1)
+        index = layout['slide-size'] > 0 ? Math.floor(child.start / layout['slide-size']) : 0;
+      return Math.max(0, Math.min(index, layout.slides-1));
+    },
+
+    /**
+     * Gets the index of the slide whose target is nearest an offset. When looping, distances wrap around.
+     *
+     * @memberof! module:Carousel.Layout
+     * @param {Object} layout The layout
+     * @param {Number} offset The offset
+     * @return {Number} The slide index
+     */
+    getSlideIndexAt: function(layout, offset){
+      var loopSize, index, nearest, i, distance;
+      loopSize = layout['loop-size'];
+      index = 0;
+      nearest = Infinity;
+      for(i = 0; i < layout.slides; i++){
+        distance = Math.abs(Layout.getSlideTarget(layout, i) - offset);
+        if(loopSize > 0)
+          distance = Math.min(distance % loopSize, loopSize - (distance % loopSize));
+        if(distance < nearest){
+          nearest = distance;
+          index = i;
+        }
+      }
+      return index;
+    },
+
+    /**
+     * Resolves a slide index that may be beyond the ends. It's clamped to the slides or, when looping, wrapped
+     * around with `wraps` of -1 or 1 for the loop clones it passes into.
+     *
+     * @memberof! module:Carousel.Layout
+     * @param {Object} layout The layout
+     * @param {Number} index  The slide index
+     * @return {Object} The `index` of the real slide, and the `wraps`
+     */
+    resolveIndex: function(layout, index){
+      var slides, wraps;
+      slides = layout.slides;
+      wraps = 0;
+      if(layout['loop-size'] > 0){
+        // Our clones only cover a stage's worth on either side, so we can only pass one slide
+        // beyond an end. Anything further is normalized and moved to within the real slides.
+        if(index >= -1 && index <= slides)
+          wraps = index < 0 ? -1 : (index > slides-1 ? 1 : 0);
+        index = ((index % slides) + slides) % slides;
+      }
+      return { index:Math.max(0, Math.min(index, slides-1)), wraps:wraps };
+    }
+
+  };
+
+  if(typeof(module) !== 'undefined' && module.exports)
+    module.exports = Layout;
+  else
+    (this.Carousel = this.Carousel || {}).Layout = Layout;
+
+}).call(this);
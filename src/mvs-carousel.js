@@ -1,6 +1,7 @@
 /**
  * *Exports the Carousel View*, as well as a helper Carousel.Nav view. The Nav view can be instantiated
- * automatically by the carousel, or alone and manually listened for.
+ * automatically by the carousel, or alone and manually listened for. Needs mvs-carousel-layout.js on the page too,
+ * loaded before or after this.
  *
  * @module Carousel
  */
@@ -8,6 +9,56 @@
 
   "use strict";
 
+  // MooTools doesn't know some of the events we use, so register them as native events to pass through
+  ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'dragstart', 'focusin', 'focusout', 'visibilitychange', 'popstate', 'hashchange', 'scrollend', 'wheel'].each(function(type){
+    Element.NativeEvents[type] = Element.NativeEvents[type] || 2;
+  });
+
+  // The properties to read & write for each orientation, so the geometry can be axis agnostic
+  var AXES = {
+    horizontal: { axis:'x', cross:'y', page:'pageX', crossPage:'pageY', offset:'offsetLeft', size:'offsetWidth', scroll:'scrollLeft', scrollTo:'left', translate:'translateX', keys:{ previous:37, next:39 } },
+    vertical:   { axis:'y', cross:'x', page:'pageY', crossPage:'pageX', offset:'offsetTop',  size:'offsetHeight', scroll:'scrollTop', scrollTo:'top', translate:'translateY', keys:{ previous:38, next:40 } }
+  };
+
+  // Key codes for Home & End, which MooTools doesn't name
+  var KEYS = { home:36, end:35 };
+
+  // What can take focus, so it can be taken out of the tab order in the loop clones
+  var FOCUSABLE = 'a[href], area[href], button, input, select, textarea, iframe, object, embed, audio[controls], video[controls], summary, [tabindex], [contenteditable]';
+
+  // The attributes we may set on the element & its children, so destroy can put them back as they were
+  var ELEMENT_ATTRIBUTES = ['id', 'class', 'style', 'dir', 'role', 'aria-roledescription', 'aria-label', 'tabindex', 'data-slides', 'data-slide-index', 'data-position'];
+  var CHILD_ATTRIBUTES = ['class', 'style', 'role', 'aria-roledescription', 'aria-label', 'aria-hidden', 'aria-current', 'inert'];
+
+  var takeSnapshot = function(element, attributes){
+    var snapshot = {};
+    attributes.each(function(name){
+      snapshot[name] = element.getAttribute(name);
+    });
+    return snapshot;
+  };
+
+  var restoreSnapshot = function(element, snapshot){
+    Object.each(snapshot, function(value, name){
+      if(value == null)
+        element.removeAttribute(name);
+      else
+        element.setAttribute(name, value);
+    });
+  };
+
+  // Whether two sets of options hold the same values, comparing functions & elements by identity
+  var isEqual = function(a, b){
+    if(!['object', 'array'].contains(typeOf(a)) || typeOf(a) !== typeOf(b))
+      return a === b;
+    return Object.getLength(a) === Object.getLength(b) && Object.every(a, function(value, key){
+      return isEqual(value, b[key]);
+    });
+  };
+
+  // A layout script loaded before us leaves Carousel.Layout on a placeholder, which we're about to replace
+  var Layout = this.Carousel && this.Carousel.Layout;
+
   var Carousel = this.Carousel = new Class(/** @lends module:Carousel.Carousel.prototype */{
     Implements: [Events, Options],
 
@@ -16,29 +67,123 @@
      * @memberof! module:Carousel.Carousel#
      * 
      * @property {Number}                [options.delay=5000]                  Delay in ms before moving the slide. Passing 0, null or any non-number will not use a timer.
-     * @property {Boolean}               [options.nav=true]                    Automatically create a Carousel.Nav menu and append it after the list
-     * @property {Boolean}               [options.loop=true]                   Whether or not to loop to the beginning when we hit the last item on the timer
+     *                                                                         A slide's first child can set it's own with a `data-delay` attribute.
+     * @property {String}                [options.direction=forward]           The way the timer moves; 'forward' or 'reverse'
+     * @property {String}                [options.autoplay-end=null]           What the timer does at the last slide (or first, in reverse). 'loop' carries on around, seamlessly
+     *                                                                         when `loop` is 'infinite'; 'rewind' moves back to the first; 'pingpong' turns around; and
+     *                                                                         'stop' stops, firing `autoplayend`. By default it's 'loop' when `loop` is 'infinite', 'rewind'
+     *                                                                         when it's true, and otherwise 'stop'.
+     * @property {Boolean}               [options.pause-on-hover=true]         Pause the timer while the mouse is over the carousel
+     * @property {Boolean}               [options.pause-on-focus=true]         Pause the timer while focus is within the carousel or its nav
+     * @property {Boolean}               [options.pause-on-hidden=true]        Pause the timer while the page is in a background tab
+     * @property {Boolean}               [options.pause-offscreen=true]        Pause the timer while the carousel is scrolled out of the viewport
+     * @property {Boolean|Object}        [options.nav=true]                    Automatically create a Carousel.Nav menu and append it after the list. Pass an object
+     *                                                                         of Carousel.Nav options to add arrows, a counter, titles, autoplay progress, etc.
+     * @property {Boolean}               [options.drag=true]                   Allow the carousel to be dragged with a mouse or pen, not just swiped on touch devices
+     * @property {Boolean}               [options.wheel=false]                 Move with a mouse wheel or trackpad's sideways gestures, live, snapping once the gesture comes
+     *                                                                         to rest. A gesture moves one slide at most. Mostly vertical scrolling is left to the page.
+     * @property {Boolean}               [options.wheel-vertical=false]        Also move a horizontal carousel with vertical wheel scrolling, as is always done with Shift held
+     * @property {Boolean|String}        [options.loop=true]                   Whether or not to loop to the beginning when we hit the last item on the timer.
+     *                                                                         Pass 'infinite' for a seamless circular carousel; the edge children are cloned so
+     *                                                                         next/previous, the timer and touch swipes keep moving in the same direction forever.
+     * @property {String}                [options.orientation=horizontal]      Can be 'horizontal' or 'vertical'. A vertical carousel moves along the Y axis and needs
+     *                                                                         a height set on the list in your CSS.
+     * @property {String}                [options.dir=null]                    The direction of a horizontal carousel, 'ltr' or 'rtl'. By default it's the list's computed
+     *                                                                         `direction`. Right-to-left mirrors the offsets, swipes, arrow keys, alignment & nav.
      * @property {Null|String|Number}    [options.slide-size=null]             The size of the slide. Can be null, an integer, or a string-percentage.
      *                                                                         Most likely will be left null, which will allow the Carousel to automatically calculate the slides widths,
      *                                                                         But can be overridden with hardcoded values if desired.
      * @property {String}                [options.slide-alignment=center]      The alignment of the slide when it is less than 100% of the width. Essentially, calculates the slide width and
-     *                                                                         disperses the remainder between the left and/or right sides.
+     *                                                                         disperses the remainder between the left and/or right sides. Can be 'left', 'center' or 'right',
+     *                                                                         or 'top', 'center' or 'bottom' when vertical. The logical 'start' & 'end' follow the direction.
      * @property {String}                [options.slide-ends-alignment=sticky] Can be 'sticky' or 'aligned'. Controls whether an ending slide (initial or last) slide should stick to the edge,
      *                                                                         or align itself to the alignment.
-     * @property {String}                [options.slide-mode=multiple]         Can be 'multiple' or 'single'
+     * @property {String}                [options.slide-mode=multiple]         Can be 'multiple', 'multiple-flex', 'single' or 'single-flex'
      *                                                                         This is only used when `options.slide-size = null`:
      *                                                                         "multiple": Size of the slide should dictate by as many children fit wholly in the container (could be just one)
      *                                                                         "single": Each child is a slide, styled to be the same width
      *                                                                         "single-flex": Each child is a slide, but their widths are inconsistent
+     * @property {Object}                [options.breakpoints=null]            A map of minimum stage widths (sizes, when vertical) to option overrides, like
+     *                                                                         `{ 0:{ 'slide-mode':'single' }, 800:{ 'slide-mode':'multiple', delay:0, nav:false } }`.
+     *                                                                         The largest width not over the stage's is merged over the options passed in
+     *                                                                         whenever we calculate. Changing `orientation` or `drag` is not supported.
+     * @property {Boolean}               [options.observe=false]               Watch the list with a MutationObserver, so children added or removed outside of
+     *                                                                         addSlide/removeSlide/replaceSlides are picked up, recalculated & evented the same way.
+     * @property {Boolean|String}        [options.history=false]               Keep the current slide in the URL, as 'hash' or 'query', so it can be linked to. We start
+     *                                                                         at the slide in the URL, and Back & Forward step through the slides moved to. The slide is
+     *                                                                         written as the `data-slide-name` or `id` of its first child if it has one, else its index.
+     *                                                                         A hash that isn't key=value pairs, like a page anchor, is left alone.
+     * @property {String}                [options.history-key=null]            The key of our slide in the URL; defaults to the list's id. One or the other is needed for
+     *                                                                         `history`, since the key must be the same on every page load; without, history is off.
+     * @property {Boolean}               [options.lazy=false]                  Lazy load media within children. Media should keep it's sources in `data-src` and/or
+     *                                                                         `data-srcset`, which are swapped in once the child is within `lazy-range` slides of the
+     *                                                                         current slide. The child gets `-loading`, then `-loaded` or `-error`, and a `slideloaded` event fires.
+     * @property {Number}                [options.lazy-range=1]                The number of slides on either side of the current slide to load
+     * @property {Boolean}               [options.free-scroll=false]           Let drags & flicks scroll freely, coasting with momentum after they're released,
+     *                                                                         rather than moving a single slide.
+     * @property {Boolean|String}        [options.free-scroll-snap=false]      Once a free scroll coasts to a stop, settle on the nearest 'slide' boundary, or on the nearest 'child'.
+     * @property {Number}                [options.free-scroll-friction=0.95]   How much of the momentum is kept each frame; lower stops sooner.
+     * @property {Number}                [options.duration=500]                The duration of a move's animation, in ms. After a drag, it's scaled down to the distance that remains.
+     * @property {String|Function}       [options.transition=sine:in:out]      The easing of a move's animation. Can be a MooTools Fx transition name ('sine:out', 'quad:in:out'),
+     *                                                                         a CSS easing ('ease-out', 'cubic-bezier(0.25, 0.1, 0.25, 1)'), or a function.
+     * @property {String}                [options.effect=slide]                The name of the transition effect, from the Carousel.Effects registry. Built in
+     *                                                                         are 'slide', 'fade', 'stack' and 'coverflow'. Add more with Carousel.defineEffect.
+     * @property {String}                [options.render-mode=transform]       How we move; 'transform' translates the children, while 'scroll' makes the list a native
+     *                                                                         scroll container with CSS scroll-snap, moved with smooth `scrollTo`. Scrolling is then left to
+     *                                                                         the browser, so `drag`, `free-scroll`, effects other than 'slide', and the clones of an 'infinite'
+     *                                                                         loop aren't used. Set when created; it can't be changed by breakpoints.
+     * @property {Object}                [options.labels]                      The accessible labels used, substituted with `{index}` and `{total}` where it makes sense.
+     * @property {String}                [options.labels.carousel=Carousel]    The label of the carousel, unless the list already has an aria-label or aria-labelledby
+     * @property {String}                [options.labels.slide]                The label of each child, "{index} of {total}"
+     * @property {String}                [options.labels.nav]                  The label of the Carousel.Nav
+     * @property {String}                [options.labels.nav-item]             The label of each Carousel.Nav button, "Slide {index}"
+     * @property {String}                [options.labels.previous]             The label of the Carousel.Nav's previous arrow
+     * @property {String}                [options.labels.next]                 The label of the Carousel.Nav's next arrow
+     * @property {String}                [options.labels.counter]              The Carousel.Nav's counter, "{index} / {total}"
+     * @property {String}                [options.labels.live]                 Announced politely when the slide changes (other than from the timer), "Slide {index} of {total}"
      */
     options: {
       delay: 5000,
+      direction: 'forward',
+      'autoplay-end': null,
+      'pause-on-hover': true,
+      'pause-on-focus': true,
+      'pause-on-hidden': true,
+      'pause-offscreen': true,
       nav: true,
+      drag: true,
+      wheel: false,
+      'wheel-vertical': false,
       loop: true,
+      orientation: 'horizontal',
+      dir: null,
       'slide-size': null,
       'slide-alignment': 'center',
       'slide-ends-alignment':'sticky',
       'slide-mode': 'multiple',
+      breakpoints: null,
+      observe: false,
+      history: false,
+      'history-key': null,
+      lazy: false,
+      'lazy-range': 1,
+      effect: 'slide',
+      'render-mode': 'transform',
+      'free-scroll': false,
+      'free-scroll-snap': false,
+      'free-scroll-friction': 0.95,
+      duration: 500,
+      transition: 'sine:in:out',
+      labels: {
+        'carousel': 'Carousel',
+        'slide': '{index} of {total}',
+        'nav': 'Choose a slide',
+        'nav-item': 'Slide {index}',
+        'previous': 'Previous slide',
+        'next': 'Next slide',
+        'counter': '{index} / {total}',
+        'live': 'Slide {index} of {total}'
+      },
       'transform-property': window.Modernizr && Modernizr.prefixed ? Modernizr.prefixed('transform') : 'transform'
     },
 
@@ -58,6 +203,9 @@
      *                                         upfront and caches it, so each slide should contain the same amount of children styled
      *                                         identically. If there is a remainder of stage size available, it is distributed
      *                                         between the left and right sides dependant on the `slide-alignment` option.
+     *  - `options.slide-mode = 'multiple-flex'` Like multiple, but for children of mixed sizes. Each child is walked and grouped into
+     *                                         pages of whole children that fit within the stage, and the offset of each page is kept in
+     *                                         the model's `pages`. The remainder of each page is distributed by `slide-alignment`.
      *  - `options.slide-mode = 'single'`      Here, each child is a slide, and is calulcated upfront and cached, so each child
      *                                         should be styled with the same width. If there is a remainder when subtracting the 
      *                                         child width with the stage width, it is distributed it between the left and right
@@ -71,11 +219,44 @@
      *                                         When specified, `slide-mode` is ignored. This is the
      *                                         most efficient, yet most advanced.
      * 
-     * Carousel also works with touch devices determining if the user is "swiping" within in, from left or right. In order
+     * Carousel also works with touch devices determining if the user is "swiping" within in, from left or right, and
+     * can be dragged the same way with a mouse or pen (`options.drag`). In order
      * for a more native feel, the carousel's CSS adds an resistance width of 50 using :before & :after pseudo elements. These 50x
      * on either side are used to add elasticity/resistence when the user touches and drags at the end. This is compensated
      * within the math when determining movement, size, and position.
+     *
+     * Carousel follows the WAI-ARIA carousel pattern. The list is labeled as a carousel and focusable, and each child
+     * as a slide. The arrow keys (along the orientation), Home and End move the carousel when it or the nav is focused.
+     * Children outside of the current view are made `inert` & `aria-hidden` and the timer pauses while focus is within.
+     *
+     * The timer also pauses while hovered, while the page is hidden and while the carousel is off-screen, unless
+     * those options are turned off. A pause keeps what's left of the current delay, so `resume` carries on from there.
+     *
+     * Carousel fires these events. A move's `source` is 'timer', 'touch', 'drag', 'wheel', 'scroll', 'nav', 'key', 'history', 'resize' or 'api'.
+     *
+     *  - `beforemove` `{from, to, source, preventDefault}` Before moving to another slide. Call `preventDefault()` to cancel
+     *                                                      it, in which case we settle back on the current slide.
+     *  - `move`       `{from, to, source}`                 As the carousel starts animating, or jumping, to a slide. A free scroll's
+     *                                                      coast, or a scroll by the user in 'scroll' render mode, can't be cancelled
+     *                                                      so has no `beforemove`, and it's `to` is null, since where it stops isn't known.
+     *  - `moved`      `{from, to, source}`                 Once the carousel has come to rest on a slide, after a `move`
+     *  - `dragstart`  `{type}`                             When a touch, drag or wheel starts moving us, with `type` 'touch', 'drag' or 'wheel'
+     *  - `drag`       `{type, offset, progress}`           As we're dragged; `progress` is from 0 at the start to 1 at the end
+     *  - `dragend`    `{type}`                             When the drag is released
+     *  - `slidevisible` `{slide, index, visibility}`       When a child comes into view; `visibility` is 'visible' or 'partially-visible'
+     *  - `slidehidden`  `{slide, index}`                   When a child goes out of view
+     *  - `tick`       `{slide}`                            When the timer fires, before it moves
+     *  - `start`      & `stop`                             When the timer loop is started or stopped
+     *  - `autoplayend` `{slide}`                           When the timer stops at the end, with `autoplay-end` of 'stop'
+     *  - `calculated` `{stage-size, total-size, ...}`      After `calculate`, with the model's measurements
+     *  - `change:current-slide`                            Re-emitted from the model, with the same arguments
+     *
+     * Carousels can be linked, for instance a main gallery & a carousel of its thumbnails. A Carousel honours the same
+     * contract as Carousel.Nav; it fires `choose` when a child is clicked, and `setSelected` marks a child and scrolls
+     * to it. So one can be used as another's nav with `setNav`, or `link`, which can also mirror drags between them.
      * 
+     * An element only has one carousel; creating another on it destroys the first. See `Carousel.getInstance`.
+     *
      * @constructs Carousel
      * @memberof! module:Carousel
      * @param {Element} [element] The list element to carousel-ize
@@ -84,49 +265,138 @@
     initialize: function(element, options){
       var self, hasTouch;
       self = this;
+      if(!Carousel.Layout)
+        throw new Error('Carousel: Carousel.Layout is missing; include src/mvs-carousel-layout.js along with src/mvs-carousel.js');
       self.setOptions(options);
+      // Keep the options passed in, so breakpoint overrides can be merged over them
+      self.baseOptions = Object.clone(self.options);
+
+      // Replace any carousel already on the element, and remember how it was so we can restore it
+      if((element = $(element))){
+        if(element.retrieve('carousel'))
+          element.retrieve('carousel').destroy();
+        self._snapshot = takeSnapshot(element, ELEMENT_ATTRIBUTES);
+      }
 
-      self.element = (element || new Element('ul')).set('id', String.uniqueID()).addClass('carousel-view').store('carousel', self);
+      self.element = element || new Element('ul');
+      // Our slide is keyed in the URL by the id we were given, not one we make up, so links still work on the next load
+      self._historyKey = self.options['history-key'] || self.element.get('id') || null;
+      self.element.set('id', self.element.get('id') || String.uniqueID()).addClass('carousel-view').store('carousel', self);
 
       self.onWindowResize = self.onWindowResize.bind(self);
       self.onTouchStart = self.onTouchStart.bind(self);
+      self.onPointerDown = self.onPointerDown.bind(self);
       self.onNavChoose = self.onNavChoose.bind(self);
+      self.onKeyDown = self.onKeyDown.bind(self);
+      self.onFocusIn = self.onFocusIn.bind(self);
+      self.onFocusOut = self.onFocusOut.bind(self);
+      self.onClick = self.onClick.bind(self);
+      self.onMouseEnter = self.onMouseEnter.bind(self);
+      self.onMouseLeave = self.onMouseLeave.bind(self);
+      self.onVisibilityChange = self.onVisibilityChange.bind(self);
+      self.onHistoryChange = self.onHistoryChange.bind(self);
+      self.onScroll = self.onScroll.bind(self);
+      self.onScrollEnd = self.onScrollEnd.bind(self);
+      self.onWheel = self.onWheel.bind(self);
+      self._pauses = {};
+
+      // Since w're not a view, we'll make a mock model. It, and an empty layout until we've measured,
+      // are needed by the nav & timer hooks below.
+      self.model = new MooVeeStar.Model({ 'current-slide':0, 'loop-offset':0, 'loop-size':0 });
+      self.layout = Carousel.Layout.calculate({}, self._getLayoutOptions());
+      self.model.addEvent('change:current-slide', function(){
+        self.fireEvent('change:current-slide', Array.from(arguments));
+      });
+
       window.addEvent('resize', self.onWindowResize);
+      if(self._hasHistory())
+        window.addEvents({ popstate:self.onHistoryChange, hashchange:self.onHistoryChange });
+      self._links = [];
+
+      // Accessibility; keep any label the list already has
+      self.element.set({ 'role':'region', 'aria-roledescription':'carousel' });
+      if(!self.element.get('aria-label') && !self.element.get('aria-labelledby'))
+        self.element.set('aria-label', self.options.labels.carousel);
+      if(self.element.getAttribute('tabindex') == null)
+        self.element.set('tabindex', 0);
+      self.element.addEvents({ keydown:self.onKeyDown, focusin:self.onFocusIn, focusout:self.onFocusOut, click:self.onClick });
+      self.element.addEvents({ mouseenter:self.onMouseEnter, mouseleave:self.onMouseLeave });
+      self.live = new Element('div.carousel-live[aria-live=polite][aria-atomic=true]');
+      if(self.element.getParent())
+        self.live.inject(self.element, 'after');
+
+      // A native scroll container handles touch, wheel & keyboard scrolling itself; we follow along
+      self.renderMode = self.options['render-mode'] === 'scroll' ? 'scroll' : 'transform';
+      self.element.addClass('-render-'+self.renderMode);
+      if(self.renderMode === 'scroll')
+        self.element.addEvents({ scroll:self.onScroll, scrollend:self.onScrollEnd });
 
       // Check for touch support & add the event to our maps
-      if((hasTouch = !!('ontouchstart' in window || window.DocumentTouch && document instanceof DocumentTouch)))
+      hasTouch = !!('ontouchstart' in window || window.DocumentTouch && document instanceof DocumentTouch);
+      if(hasTouch && self.renderMode === 'transform')
         self.element.addEvent('touchstart', self.onTouchStart);
       self.element.addClass('-has-touch-'+hasTouch);
 
+      // Mouse & pen dragging, through pointer events where we have them
+      if(self.options.drag === true && self.renderMode === 'transform')
+        self.element.addEvent(window.PointerEvent ? 'pointerdown' : 'mousedown', self.onPointerDown);
+      self.element.addClass('-has-drag-'+(self.options.drag === true && self.renderMode === 'transform'));
+      if(self.options.wheel === true && self.renderMode === 'transform')
+        self.element.addEvent('wheel', self.onWheel);
+      self.element.addClass('-orientation-'+(self.options.orientation === 'vertical' ? 'vertical' : 'horizontal'));
+      if(self.options.dir)
+        self.element.set('dir', self.options.dir);
+      self._updateDirection();
+
       // Automatically instantiate the nav
-      if(self.options.nav === true){
-        self.nav = new Carousel.Nav();
-        if(self.element.getParent())
-          $(self.nav).inject(self.element, 'after');
-        // Add the onNavChoose to our events map
-        self.nav.addEvent('choose', self.onNavChoose);
+      self.setupNav();
+
+      // Pick up children changed outside of our API
+      if(self.options.observe === true && window.MutationObserver){
+        self.observer = new MutationObserver(self.onMutation.bind(self));
+        self.observer.observe(self.element, { childList:true });
+      }
+
+      // Pause while the page is hidden, or we're scrolled out of view
+      document.addEvent('visibilitychange', self.onVisibilityChange);
+      self.onVisibilityChange();
+      if(window.IntersectionObserver){
+        self.viewportObserver = new IntersectionObserver(function(entries){
+          self._setPaused('offscreen', self.options['pause-offscreen'] === true && !entries.getLast().isIntersecting);
+        });
+        self.viewportObserver.observe(self.element);
       }
 
-      // Since w're not a view, we'll make a mock model
-      self.model = new MooVeeStar.Model({ 'current-slide':0 });
+      self.animator = new Carousel.Animator();
       
-      // Delay our delay in case we're not yet attached to the DOM
-      (function(){
-        self.calculate().start().move(0);
+      // Delay our delay in case we're not yet attached to the DOM. Start at the slide in the URL, if there is one,
+      // before the timer starts, so it waits that slide's delay.
+      self._initDelay = (function(){
+        var index;
+        self.calculate();
+        if((index = self.getHistoryIndex()) != null)
+          self.model.set('current-slide', index);
+        self.start().move(0, { instant:index != null });
       }).delay(1);
       
     },
 
     /**
-     * Starts the carousel's timer loop
+     * Starts the carousel's timer loop, with a full delay. While paused, the timer waits for the pause to end.
      *
      * @memberof! module:Carousel.Carousel#
      */
     start: function(){
-      var self = this;
-      self.stop();
-      if(typeof(self.options.delay) === 'number' && self.options.delay > 0)
-        self.timer = self.move.periodical(self.options.delay, self, [1, { event:'timer' }])
+      var self, started;
+      self = this;
+      started = !self._autoplay;
+      self._clearTimer();
+      delete self._remaining;
+      delete self._advancing;
+      self._autoplay = true;
+      self._updateTimer();
+      if(started)
+        self.fireEvent('start');
       return self;
     },
 
@@ -136,12 +406,170 @@
      * @memberof! module:Carousel.Carousel#
      */
     stop: function(){
+      var self, stopped;
+      self = this;
+      stopped = !!self._autoplay;
+      self._autoplay = false;
+      self._clearTimer();
+      delete self._remaining;
+      delete self._advancing;
+      self._updateNavProgress(self.getSlideDelay(), false);
+      if(stopped)
+        self.fireEvent('stop');
+      return self;
+    },
+
+    /**
+     * Pauses the timer, keeping what's left of the current delay. Unlike `stop`, the pause holds through
+     * interactions that start the timer again, such as choosing from the nav or dragging, until `resume`.
+     *
+     * @memberof! module:Carousel.Carousel#
+     */
+    pause: function(){
+      return this._setPaused('user', true);
+    },
+
+    /**
+     * Resumes the timer paused with `pause`, for what was left of its delay. It stays paused if there's another
+     * reason to be, like hover or focus.
+     *
+     * @memberof! module:Carousel.Carousel#
+     */
+    resume: function(){
+      return this._setPaused('user', false);
+    },
+
+    /**
+     * Whether the timer is running; started, with a delay, and not paused for any reason.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @return {Boolean} If the timer is running
+     */
+    isPlaying: function(){
+      return this.timer != null;
+    },
+
+    /**
+     * Sets, or clears, a reason to pause the timer; 'user', 'hover', 'focus', 'hidden' or 'offscreen'.
+     *
+     * @param {String}  reason The reason
+     * @param {Boolean} paused If we should pause for it
+     */
+    _setPaused: function(reason, paused){
       var self = this;
-      self.timer && clearInterval(self.timer);
-      delete self.timer;
+      if(paused)
+        self._pauses[reason] = true;
+      else
+        delete self._pauses[reason];
+      return self._updateTimer();
+    },
+
+    /**
+     * Gets how long the timer waits on a slide; the `data-delay` of it's first child, or `options.delay`
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Number} [index] The slide index, by default the current slide
+     * @return {Number} The delay in ms
+     */
+    getSlideDelay: function(index){
+      var self, child, delay;
+      self = this;
+      child = self.getSlideChild(index != null ? index : self.model.get('current-slide'));
+      delay = child ? Number(child.get('data-delay')) : NaN;
+      return delay > 0 ? delay : self.options.delay;
+    },
+
+    /**
+     * Runs the timer when we're started and there's no reason to pause, from what remained of the delay if
+     * we were paused. Otherwise clears it, keeping what remains. While the timer's move is under way we
+     * wait for it to finish, so the next delay is from when it came to rest.
+     */
+    _updateTimer: function(){
+      var self, delay;
+      self = this;
+      delay = self.getSlideDelay();
+      if(!self._autoplay || Object.getLength(self._pauses) || typeof(self.options.delay) !== 'number' || self.options.delay <= 0){
+        if(self.timer != null)
+          self._remaining = Math.max(0, self._timerDelay - (+new Date - self._timerStarted));
+        self._clearTimer();
+        self._updateNavProgress(self._autoplay && self._remaining != null ? self._remaining : delay, false);
+      }else if(self.timer == null && !self._advancing){
+        self._schedule(self._remaining != null ? self._remaining : delay);
+        delete self._remaining;
+      }
       return self;
     },
 
+    /**
+     * Moves after a delay. The next is scheduled once we've come to rest.
+     *
+     * @param {Number} delay The delay in ms
+     */
+    _schedule: function(delay){
+      var self = this;
+      self._timerStarted = +new Date;
+      self._timerDelay = delay;
+      self._updateNavProgress(delay, true);
+      self.timer = (function(){
+        delete self.timer;
+        self.fireEvent('tick', { slide:self.model.get('current-slide') });
+        self._advance();
+      }).delay(delay);
+    },
+
+    /**
+     * Makes the timer's move, in `options.direction`, doing what `options.autoplay-end` says when we're at the end
+     */
+    _advance: function(){
+      var self, current, last, step, end, done;
+      self = this;
+      current = self.model.get('current-slide');
+      last = self.model.get('slides') - 1;
+      step = (self.options.direction === 'reverse' ? -1 : 1) * (self._pingpong ? -1 : 1);
+      end = self.options['autoplay-end'] || (self.options.loop === 'infinite' ? 'loop' : (self.options.loop === true ? 'rewind' : 'stop'));
+      done = function(){
+        if(!self._advancing)
+          return;
+        delete self._advancing;
+        self._updateTimer();
+      };
+      self._advancing = true;
+
+      // The loop clones let us carry on around; otherwise, at the end, we need to do something else
+      if(current === (step > 0 ? last : 0) && !(end === 'loop' && self.model.get('loop-size') > 0)){
+        if(end === 'stop'){
+          self.stop();
+          self.fireEvent('autoplayend', { slide:current });
+          return self;
+        }
+        if(end !== 'pingpong')
+          return self.moveToIndex(step > 0 ? 0 : last, { event:'timer' }, done);
+        self._pingpong = !self._pingpong;
+        step = -step;
+      }
+      return self.move(step, { event:'timer' }, done);
+    },
+
+    /**
+     * Shows the timer's progress through the delay on the nav, if it can.
+     *
+     * @param {Number}  remaining How much of the delay remains, in ms
+     * @param {Boolean} running   If the timer is running
+     */
+    _updateNavProgress: function(remaining, running){
+      var self = this;
+      if(self.nav && self.nav.setProgress)
+        self.nav.setProgress(self.getSlideDelay(), remaining, running);
+    },
+
+    /**
+     * Clears the timer, if it's running
+     */
+    _clearTimer: function(){
+      clearTimeout(this.timer);
+      delete this.timer;
+    },
+
     /**
      * We were trying to use ScrollSize. Unfortunately, Webkit returns the value we want, the entire scrollsize,
      * but gecko/firefox returns the scrollsize minus the negative left-transform offset. We need to move the 
@@ -153,10 +581,13 @@
     getTotalSize: function(){
       var self, current, size;
       self = this;
+      // A scroll container's scroll size is always all of it
+      if(self.renderMode === 'scroll')
+        return self.element.getScrollSize()[self.getAxis().axis];
       current = self.getCurrentOffset(true);
       self.element.addClass('-adjusting');
       self._move(0);
-      size = self.element.getScrollSize().x;
+      size = self.element.getScrollSize()[self.getAxis().axis];
       self._move(current);
       self.element.removeClass('-adjusting');
       return size;
@@ -169,481 +600,2711 @@
      * @memberof! module:Carousel.Carousel#
      */
     calculate: function(){
-      var self, size, slideSize, totalSize, slideOffsetLeft, slideOffsetRight, children, childSize, index, slides;
+      var self, size, children, values;
       self = this;
-      size = self.element.getSize().x;
-      totalSize = self.getTotalSize();
-
-      // If our slide-size is null, then we're in automatic mode.
-      if(self.options['slide-size'] === null){
-        children = self.element.getChildren();
-        if(!children[0]){
-          slideSize = '100%';
+      // Remember how new children were, before we move them, so destroy can put them back
+      self._getChildren().each(function(child){
+        if(!child.retrieve('carousel:snapshot'))
+          child.store('carousel:snapshot', takeSnapshot(child, CHILD_ATTRIBUTES));
+      });
+      // Measure without any loop clones; they're added back once we know our slides
+      self._removeClones();
+      size = self.element.getSize()[self.getAxis().axis];
+      self.applyBreakpoint(size);
+      self._updateDirection().setupNav();
+      self._setupEffect();
+      children = self._getChildren();
+
+      // The math is all in Carousel.Layout; we just measure for it, keeping which child is which
+      self._layoutChildren = children;
+      self.layout = Carousel.Layout.calculate({
+        'stage-size': size,
+        'total-size': self.getTotalSize(),
+        'children': children.map(function(child){ return self.getChildBounds(child, children[0]); })
+      }, self._getLayoutOptions());
 
-        }else if(self.options['slide-mode'] === 'single'){
-          slideSize = children[0].getSize().x;
+      children.each(function(child, index, children){
+        child.set({ 'role':'group', 'aria-roledescription':'slide', 'aria-label':self.options.labels.slide.substitute({ index:index+1, total:children.length }) });
+      });
 
-        }else{
-          // The default, of multi (this will also work as 'single' if each slide is greater than 50% of the width)
-          // Assume our slide size is the width of the stage subtracted by the remainder from the last fully visible child
-          // Unforatunately, we need to oop over children, not just modulo the first child's width since there
-          // could be percentage rounding by the browser CSS
-          slideSize = childSize = index = 0;
-          do{
-            slideSize += childSize;
-            childSize = children[index].getSize().x;
-            index++;
-          }while(slideSize + childSize <= size && children[index]);
-          // If there is no next child and out slideSize is less than the totalSize, then let's
-          // force into a single slide
-          if(!children[index] && slideSize < totalSize)
-            slideSize = "100%";
-        }
-      }else{
-        slideSize = self.options['slide-size'] || size;
-      }
+      // There's nothing to loop around with a single slide
+      if(self.options.loop === 'infinite' && self.layout.slides > 1 && self.renderMode === 'transform')
+        self._addClones(size);
 
-      if(String(slideSize).contains('%'))
-        slideSize = size * (parseInt(slideSize, 10)/100);
+      self.model.set(Object.subset(self.layout, ['stage-size', 'total-size', 'slide-size', 'slide-offset-left', 'slide-offset-right', 'slides', 'pages']));
+      
+      if(self.renderMode === 'scroll')
+        self._updateSnapPoints();
 
-      slideOffsetLeft = slideOffsetRight = (size-slideSize)/2;
-      if(self.options['slide-alignment'] === 'left'){
-        slideOffsetLeft = 0;
-        slideOffsetRight = slideOffsetRight*2;
-      }else if(self.options['slide-alignment'] === 'right'){
-        slideOffsetLeft = slideOffsetLeft*2;
-        slideOffsetRight = 0;
-      }
+      if(self.nav && self.nav.update)
+        self.nav.update(self.model.get('slides'), self.getSlideTitles());
 
-      slides = self.options['slide-size'] === null && self.options['slide-mode'].contains('single') ? self.element.getChildren().length : Math.ceil(totalSize / slideSize);
-      if(slideSize === 0 || slides === 0)
-        slides = 1;
+      self.element.set('data-slides', self.model.get('slides'));
+      self._updateSlideStates(-self.getCurrentOffset());
 
-      self.model.set({
-        'stage-size': size,
-        'total-size': totalSize,
-        'slide-offset-left': slideOffsetLeft,
-        'slide-offset-right': slideOffsetRight,
-        'slides':    slides
+      values = {};
+      ['stage-size', 'total-size', 'slide-size', 'slide-offset-left', 'slide-offset-right', 'slides', 'pages', 'loop-offset', 'loop-size'].each(function(key){
+        values[key] = self.model.get(key);
       });
-      
-      if(self.nav)
-        self.nav.update(self.model.get('slides'));
+      self.fireEvent('calculated', values);
+      return self;
+    },
 
-      self.element.set('data-slides', self.model.get('slides'));
+    /**
+     * Gets our slide options as Carousel.Layout takes them, with the alignment normalized for our direction
+     *
+     * @return {Object} The layout options
+     */
+    _getLayoutOptions: function(){
+      var self = this;
+      return {
+        'slide-size': self.options['slide-size'],
+        'slide-mode': self.options['slide-mode'],
+        'slide-alignment': self.getAlignment(),
+        'slide-ends-alignment': self.options['slide-ends-alignment']
+      };
+    },
 
-      return self;
+    /**
+     * Gets the properties used to measure and move along the current orientation's axis
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @return {Object} The axis map; `axis` is 'x' or 'y'
+     */
+    getAxis: function(){
+      return AXES[this.options.orientation] || AXES.horizontal;
     },
 
     /**
-     * Gets the current offset of the carousel, not taking into consideration the animation
+     * Normalizes `options.slide-alignment` for either orientation
      *
-     * @param {Boolean} [raw=false] If true, then get the raw offset value. For isntance, if we're touching, our offset is not
-     *                              recorded in `this.currentOffset` so we want to get the raw value.
+     * @memberof! module:Carousel.Carousel#
+     * @return {String} 'start', 'center' or 'end'
      */
-    getCurrentOffset: function(raw){
-      if(raw){
-        var first = this.element.getFirst();
-        return first && Number((first.getStyle(this.options['transform-property']) || '').replace(/^.*?translateX\(([\-\d\.]+).*?$/gi, '$1')) || this.currentOffset || 0;
-      } 
-      return this.currentOffset || 0;
+    getAlignment: function(){
+      var alignment = this.options['slide-alignment'];
+      if(alignment === 'start' || alignment === 'top' || alignment === (this.isRtl() ? 'right' : 'left'))
+        return 'start';
+      if(alignment === 'end' || alignment === 'bottom' || alignment === (this.isRtl() ? 'left' : 'right'))
+        return 'end';
+      return 'center';
     },
 
     /**
-     * Get the current computed position of the transform
+     * Whether we're a right-to-left horizontal carousel. Our offsets are always from the start of the
+     * first child, so in RTL they're mirrored when measuring & translating.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @return {Boolean} If we're right-to-left
      */
-    getComputedOffset: function(){
-      var cssMatrix, matrix, x, y;
-      cssMatrix = getComputedStyle(this.element.getFirst(), null)[this.options['transform-property']];
-      matrix = cssMatrix.replace(/[^0-9\-.,]/g, '').split(',');
-      x = parseInt((cssMatrix.indexOf("matrix3d") == 0 ? matrix[12] * 1 : matrix[4] * 1), 10);
-      //y = parseInt((cssMatrix.indexOf("matrix3d") == 0 ? matrix[13] * 1 : matrix[5] * 1), 10);
-      return x;
+    isRtl: function(){
+      return this._rtl === true;
     },
 
     /**
-     * This "fixes" the carousel if it gets into a state where something has changed.
-     * For instance, this is called from a window resize where the current scroll position may
-     * be incorrect
+     * Reads our direction from `options.dir` or the list's computed direction
+     */
+    _updateDirection: function(){
+      var self = this;
+      self._rtl = self.getAxis().axis === 'x' && (self.options.dir ? self.options.dir === 'rtl' : self.element.getStyle('direction') === 'rtl');
+      self.element.toggleClass('-rtl', self._rtl);
+      return self;
+    },
+
+    /**
+     * Merges the override set of the largest breakpoint that fits within the stage size over our base options.
+     * If the breakpoint has changed, the nav is created, rebuilt or destroyed to match, the timer is restarted
+     * if it was running, and a `breakpoint` event is fired.
      *
      * @memberof! module:Carousel.Carousel#
+     * @param {Number} size The stage size, as measured in calculate
      */
-    fix: function(){
-      var self;
+    applyBreakpoint: function(size){
+      var self, breakpoints, breakpoint, previous;
       self = this;
-      self.calculate().move(0);
+      breakpoints = self.baseOptions.breakpoints;
+      if(!breakpoints)
+        return self;
+
+      breakpoint = null;
+      Object.keys(breakpoints).each(function(width){
+        width = Number(width);
+        if(width <= size && (breakpoint === null || width > breakpoint))
+          breakpoint = width;
+      });
+      if(breakpoint === self.breakpoint)
+        return self;
+
+      previous = self.breakpoint;
+      self.breakpoint = breakpoint;
+      self.options = Object.merge({}, self.baseOptions, breakpoint === null ? {} : breakpoints[breakpoint]);
+      self._updateDirection().setupNav();
+      if(self._autoplay)
+        self.start();
+      self.fireEvent('breakpoint', { breakpoint:breakpoint, previous:previous, options:self.options });
       return self;
     },
 
     /**
-     * Moves the carousel a number of slides from it's current.
-     * It will never go less than the first, but it will loop endlessly
-     * forward (from last back to first) if it's from the timer. Otherwise,
-     * like if from a touch event, it will stop at the last,
+     * Creates the Carousel.Nav when `options.nav` is set and we don't have one, or destroys it if we
+     * do but it's no longer wanted. It's rebuilt when it's options, our labels, `loop` or direction change.
      *
      * @memberof! module:Carousel.Carousel#
-     * @param {Number} direction A positive/negative number of slide indices to move
-     * @param {Object} [opts] Options such as transition, and event type
-     * @param {Function} [callback] A callback tofire after the scroll fx finishes
      */
-    move: function(direction, opts, callback){
-      var self, target, fxOptions, thisSlide, thisSlideChild, cancel;
+    setupNav: function(){
+      var self, options;
       self = this;
-      if(self._moving === true){
-        callback && callback();
+      // A nav set through setNav is kept, whatever our options say
+      if(self.customNav)
         return self;
+      options = self.options.nav ? Object.merge({ loop:self.options.loop === 'infinite' && self.renderMode === 'transform', rtl:self.isRtl() }, typeOf(self.options.nav) === 'object' ? self.options.nav : {}) : null;
+      // The nav only goes around with loop clones, which a scroll container doesn't have.
+      // It's rebuilt when what it's made with has changed, by a breakpoint or our direction.
+      if(self.nav && (!options || !isEqual(options, self._navOptions) || !isEqual(self.options.labels, self._navLabels))){
+        self.nav.removeEvent('choose', self.onNavChoose);
+        self.nav.destroy();
+        delete self.nav;
       }
-      self._moving = true;
-      opts = opts || {};
-      callback = callback || function(){};
-      thisSlide = self.model.get('current-slide') + direction;
-      if(thisSlide < 0)
-        thisSlide = 0;
-      if(thisSlide > self.model.get('slides')-1)
-        thisSlide = self.model.get('slides')-1;
-
-      // If we're triggered by the timer, and moving ahead, and on the last slide, then loop to the front
-      if(self.options.loop === true && direction === 1 && opts.event === 'timer' && self.model.get('current-slide') === self.model.get('slides')-1)
-        thisSlide = 0;
-
-      // In single-flex mode, each child is a different width, and therefore when we want
-      // to move, we need to figure out where to go
-      if(self.options['slide-size'] === null && self.options['slide-mode'] === 'single-flex'){
-        thisSlideChild = self.element.getChildren()[thisSlide];
-        if(thisSlideChild){
-          // iOS does different things with getCoordinates relative to the parent, so normalize on "offsetX" which do not take into account translate
-          var coords = { left:thisSlideChild.offsetLeft, width:thisSlideChild.offsetWidth }; 
-          var scroll = -self.getCurrentOffset();
-          var alignmentOffset;
-
-          target = coords.left;
-
-          alignmentOffset = self.model.get('stage-size') - coords.width;
-          if(self.options['slide-alignment'] === 'right')
-            target -= alignmentOffset
-          else if(self.options['slide-alignment'] === 'center')
-            target -= alignmentOffset/2;
-        }else{
-          self._moving = false;
-          callback && callback();
-          return self;
+      if(options && !self.nav){
+        self._navOptions = options;
+        self._navLabels = self.options.labels;
+        self.nav = new Carousel.Nav(0, self.options.labels, options);
+        if(self.element.getParent())
+          $(self.nav).inject(self.element, 'after');
+        // Add the onNavChoose to our events map
+        self.nav.addEvent('choose', self.onNavChoose);
+        $(self.nav).addEvents({ focusin:self.onFocusIn, focusout:self.onFocusOut });
+        if(self.model && self.model.get('slides') != null){
+          self.nav.update(self.model.get('slides'), self.getSlideTitles());
+          self.nav.setSelected(self.model.get('current-slide'));
         }
-
-      }else{
-        target = (thisSlide * self.model.get('stage-size')) - ((self.model.get('slide-offset-left')+self.model.get('slide-offset-right')) * thisSlide) - self.model.get('slide-offset-left');
-      }
-
-      // If we're at the end and in "sticky" ends alignement mode, then we will
-      // pin our target to that value.
-      if(self.options['slide-ends-alignment'] === 'sticky'){
-        if(target < 0)
-          target = 0;
-        if(target > (self.model.get('total-size')) - self.model.get('stage-size'))
-          target = (self.model.get('total-size')) - self.model.get('stage-size');
+        if(self.timer != null)
+          self._updateNavProgress(Math.max(0, self._timerDelay - (+new Date - self._timerStarted)), true);
       }
-
-      self.model.set('current-slide', thisSlide);
-      self.element.set('data-slide-index', thisSlide);
-      // based on target, not slide index
-      self.element.set('data-position', target === 0 ? 'start': (target === (self.model.get('total-size')) - self.model.get('stage-size') ? 'end' : 'middle'));      
-
-      if(self.nav)
-        self.nav.setSelected(self.model.get('current-slide'));
-
-      (function(){
-        var onTransitionEnd = function(){
-          $(window).removeEvent(Modernizr._transitionend+':relay(#'+self.element.get('id')+' > li:first-child)', onTransitionEnd);
-          self.element.removeClass('-transitioning').removeClass('-from-'+opts.event);
-          self.fireEvent('moved', { to:thisSlide });
-          self._moving = false;
-          callback && callback();
-        };
-
-        // If the raw offset (current scroll, if touching) is not the target, then animate
-        if(self.getCurrentOffset(true) !== -target){
-          if(Modernizr._transitionend){
-            $(window).addEvent(Modernizr._transitionend+':relay(#'+self.element.get('id')+' > li:first-child)', onTransitionEnd);
-            self.element.addClass('-transitioning').addClass('-from-'+opts.event);
-          }
-          self._move(-target);
-          if(!Modernizr._transitionend)
-            onTransitionEnd();
-
-        // If we're in single and we're sticky, then it's possible that a next/previous would not actually move the carousel
-        // if it's left is already less/more than the target. If that's the case, then keep moving.
-        }else if(self.options['slide-ends-alignment'] === 'sticky' && self.options['slide-mode'].contains('single') && direction !== 0 && thisSlide > 0 && thisSlide < self.model.get('slides')-1){
-          self._moving = false;
-          self.move(direction > 0 ? 1 : -1, opts, onTransitionEnd);
-        }else{
-          onTransitionEnd();
-        }
-      }).delay(10);
-
       return self;
     },
 
     /**
-     * A very dumb move function that sets the transform property to the correct position.
-     * setAsOffset can be false to move it to an index that is not an actual offset (like, to halt a transition)
+     * Uses another nav in place of our own. This can be anything that fires `choose` with an `index` and has
+     * `setSelected(index)` and, optionally, `update(slides)`; such as another Carousel of thumbnails. Pass null
+     * to go back to the nav from `options.nav`. A nav set here is not destroyed with us.
      *
-     * @param  {Number}  to                 The position to move to
-     * @param  {Boolean} [setAsOffset=true] Whether or not to set as our current offset.
+     * @memberof! module:Carousel.Carousel#
+     * @param {Object|null} nav The nav to use
      */
-    _move: function(to, setAsOffset){
-      this.element.getChildren().setStyle(this.options['transform-property'], 'translateX('+to+'px)');
-      if(setAsOffset !== false)
-        this.currentOffset = to;
-      return this;
+    setNav: function(nav){
+      var self = this;
+      if(self.nav){
+        self.nav.removeEvent('choose', self.onNavChoose);
+        $(self.nav).removeEvents({ focusin:self.onFocusIn, focusout:self.onFocusOut });
+        if(!self.customNav)
+          self.nav.destroy();
+        delete self.nav;
+      }
+      self.customNav = nav || null;
+      if(nav){
+        self.nav = nav;
+        self.nav.addEvent('choose', self.onNavChoose);
+        $(self.nav).addEvents({ focusin:self.onFocusIn, focusout:self.onFocusOut });
+        if(self.model.get('slides') != null && self.nav.update)
+          self.nav.update(self.model.get('slides'), self.getSlideTitles());
+        self.nav.setSelected(self.model.get('current-slide'));
+      }
+      return self.setupNav();
     },
 
     /**
-     * Moves to an index, rather than a direction.
+     * Links another carousel to this one. By default it becomes our nav; choosing one of its children moves us to
+     * that index, and as we move it marks and scrolls to the matching child. With `mirror`, a drag on either is
+     * rendered on the other in proportion, and the other settles on its nearest slide when the drag ends.
      *
      * @memberof! module:Carousel.Carousel#
-     * @param {Number} index The index to move to
-     * @param {Object} [opts] Options to pass to move
-     * @param {Function} [callback] A callback to pass to move
+     * @param {Carousel} carousel           The carousel to link
+     * @param {Object}   [opts]             Link options
+     * @param {Boolean}  [opts.nav=true]    Use the carousel as our nav
+     * @param {Boolean}  [opts.mirror=false] Mirror drags on either carousel onto the other
      */
-    moveToIndex: function(index, opts, callback){
-      var self;
+    link: function(carousel, opts){
+      var self, link;
       self = this;
-      self.move(index - self.model.get('current-slide'), opts, callback);
+      opts = Object.merge({ nav:true, mirror:false }, opts);
+      self.unlink(carousel);
+      link = { carousel:carousel, options:opts, events:[] };
+      if(opts.nav === true)
+        self.setNav(carousel);
+      if(opts.mirror === true){
+        link.events = [
+          { from:self, events:self._getMirrorEvents(carousel) },
+          { from:carousel, events:carousel._getMirrorEvents(self) }
+        ];
+        link.events.each(function(item){
+          item.from.addEvents(item.events);
+        });
+      }
+      self._links.push(link);
       return self;
     },
 
     /**
-     * Moves forward one
+     * Unlinks a carousel linked with `link`, handing back to our own nav if it was used as one.
      *
      * @memberof! module:Carousel.Carousel#
+     * @param {Carousel} carousel The carousel to unlink
      */
-    next: function(){
-      return this.move(1);
+    unlink: function(carousel){
+      var self = this;
+      self._links = self._links.filter(function(link){
+        if(link.carousel !== carousel)
+          return true;
+        link.events.each(function(item){
+          item.from.removeEvents(item.events);
+        });
+        if(self.customNav === carousel)
+          self.setNav(null);
+        return false;
+      });
+      return self;
     },
 
     /**
-     * Moves backwards one
+     * Gets the events that mirror our drags onto another carousel.
      *
-     * @memberof! module:Carousel.Carousel#
+     * @param {Carousel} carousel The carousel to mirror onto
+     * @return {Object} The events map
      */
-    previous: function(){
-      return this.move(-1);
+    _getMirrorEvents: function(carousel){
+      return {
+        drag: function(e){
+          carousel._interrupt()._renderProgress(e.progress);
+        },
+        dragend: function(){
+          carousel.moveToIndex(carousel.getSlideIndexAt(-carousel.getCurrentOffset(true)), { transition:'sine:out' });
+        }
+      };
     },
 
     /**
-     * Since we're not a MooVeeStar.View, we provide a way to detach the carousel from the element.
-     * Removes all events, and destroys the nav if exists.
+     * Gets how far an offset is through our range, from 0 at the start to 1 at the end, or through a lap when looping.
      *
      * @memberof! module:Carousel.Carousel#
+     * @param {Number} offset The offset
+     * @return {Number} The progress; beyond 0 to 1 when dragged past an end
      */
-    detach: function(){
-      var self;
+    getProgress: function(offset){
+      var self, bounds, loopSize;
       self = this;
-      if(self.nav){
-        self.nav.removeEvent('choose', self.onNavChoose);
-        self.nav.destroy();
-      }
+      loopSize = self.model.get('loop-size');
+      if(loopSize > 0)
+        return (((offset % loopSize) + loopSize) % loopSize) / loopSize;
+      bounds = self.getBounds();
+      return bounds.max === bounds.min ? 0 : (offset - bounds.min) / (bounds.max - bounds.min);
+    },
 
-      window.removeEvent('resize', self.onWindowResize);
-      self.stop();
-      self.element.removeClass('carousel-view');
-      self.element.removeEvent('touchstart', self.onTouchStart);
+    /**
+     * Renders the offset at a progress through our range; the reverse of getProgress.
+     *
+     * @param {Number} progress The progress
+     */
+    _renderProgress: function(progress){
+      var self, bounds, loopSize;
+      self = this;
+      loopSize = self.model.get('loop-size');
+      bounds = self.getBounds();
+      self._renderDrag(loopSize > 0 ? progress * loopSize : bounds.min + progress * (bounds.max - bounds.min));
       return self;
     },
 
     /**
-     * If we auto instantiate a nav, this is added to events in initialize.
-     * When we choose an item from the nav, we stop, move to that index, and start up again.
-     *
-     * @memberof! module:Carousel.Carousel#
+     * Cuts off any move we're making, whether it's yet to start, animating or scrolling, leaving us where we're
+     * rendered. The move's callback never comes, so if it was the timer's, the timer is scheduled again from here.
      */
-    onNavChoose: function(e){
+    _interrupt: function(){
       var self = this;
-      self.stop().moveToIndex(e.index, null, function(){ self.start(); });
+      clearTimeout(self._moveDelay);
+      delete self._scrollEnded;
+      if(self.animator.isRunning())
+        self.animator.stop();
+      if(self._moving){
+        self._moving = false;
+        self.element.removeClass('-transitioning');
+        if(self._advancing){
+          delete self._advancing;
+          self._updateTimer();
+        }
+      }
+      return self;
+    },
+
+    /**
+     * Gets the current offset of the carousel, not taking into consideration the animation
+     *
+     * @param {Boolean} [raw=false] If true, then get the offset as currently rendered. For isntance, if we're touching or
+     *                              animating, our offset is not recorded in `this.currentOffset` so we want the rendered value.
+     */
+    getCurrentOffset: function(raw){
+      if(raw && this.renderMode === 'scroll')
+        return -this._getScrollOffset();
+      if(raw && this._renderedOffset != null)
+        return -this._renderedOffset;
+      return this.currentOffset || 0;
     },
 
     /**
-     * If we resize the window, let's fix. There's a 50ms delay only do so on a resize pause.
+     * This "fixes" the carousel if it gets into a state where something has changed.
+     * For instance, this is called from a window resize where the current scroll position may
+     * be incorrect
      *
      * @memberof! module:Carousel.Carousel#
-     * @param {Event} e The mootools resize event
      */
-    onWindowResize: function(e){
+    fix: function(){
       var self;
       self = this;
-      self.stop();
-      clearTimeout(self._resizeDelay);
-      self._resizeDelay = (function(){
-        var el = self.element.getFirst();
-        self._move(0);
-        self.model.set('current-slide',0);
-        self.calculate().move(0).start();
-      }).delay(50);
+      self.recalculate();
+      return self;
     },
 
     /**
-     * If we're on a touch device,  this is added to events in initialize.
-     * When a touch is started on the element, we set up some initial data and
-     * listen for touchmove and touchend. Some of this logic was based off "Swipe"
-     * https://github.com/bradbirdsall/Swipe/blob/master/swipe.js
+     * Calculates, keeping the user on the content they were looking at. The first visible child
+     * in the current layout is mapped to the slide that contains it in the new one, which we move
+     * to without animating. Fires a `repositioned` event with the old and new index.
      *
      * @memberof! module:Carousel.Carousel#
-     * @param {Event} e The mootools touch event
+     * @param {Element} [anchor] A child to keep in view, rather than the first visible child
+     */
+    recalculate: function(anchor){
+      var self, child, from, to, callback;
+      self = this;
+      from = self.model.get('current-slide');
+      child = anchor || (self.model.get('stage-size') != null ? self.getFirstVisibleChild() : null);
+      // Any move under way would finish on the old layout, and the move below would be dropped while it did,
+      // so it's cut off and our move finishes it instead
+      callback = self._moving ? self._moveCallback : null;
+      self._interrupt().calculate();
+      to = child ? self.getSlideIndexOf(child) : 0;
+      self.model.set('current-slide', to);
+      self.move(0, { event:'resize', instant:true }, callback);
+      self.fireEvent('repositioned', { from:from, to:to });
+      return self;
+    },
+
+    /**
+     * Gets the target offset of a slide. See Carousel.Layout.getSlideTarget.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Number} index The slide index
+     * @return {Number|null} The offset, or null if there is no child or page for the slide in the flex modes
+     */
+    getSlideTarget: function(index){
+      return Carousel.Layout.getSlideTarget(this.layout, index);
+    },
+
+    /**
+     * Gets the start & end of a child along our axis, relative to the start of the first real child.
+     * This does not take into account the current translate. In RTL, the start is the right edge.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Element} child   The child to measure
+     * @param {Element} [first] The first real child, if already at hand
+     * @return {Object} The `start` & `end` of the child
+     */
+    getChildBounds: function(child, first){
+      var axis, start;
+      axis = this.getAxis();
+      first = first || this._getChildren()[0];
+      if(this.isRtl())
+        start = (first[axis.offset] + first[axis.size]) - (child[axis.offset] + child[axis.size]);
+      else
+        start = child[axis.offset] - first[axis.offset];
+      return { start:start, end:start + child[axis.size] };
+    },
+
+    /**
+     * Gets the first child that is at least half within the stage at the current offset. It's found in the layout
+     * we were last calculated with, since the DOM may have reflowed since, like on a resize, and the offset is from then.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @return {Element|null} The first visible child, if any
+     */
+    getFirstVisibleChild: function(){
+      var self, offset, index, middle;
+      self = this;
+      offset = -self.getCurrentOffset();
+      for(index = 0; index < self.layout.children.length; index++){
+        middle = (self.layout.children[index].start + self.layout.children[index].end) / 2;
+        if(middle >= offset && middle <= offset + self.layout['stage-size'])
+          return self._layoutChildren[index] || null;
+      }
+      return null;
+    },
+
+    /**
+     * Gets the index of the slide that contains the passed child, in the current layout
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Element} child The child
+     * @return {Number} The slide index
+     */
+    getSlideIndexOf: function(child){
+      return Carousel.Layout.getSlideIndexOf(this.layout, this._getChildren().indexOf(child));
+    },
+
+    /**
+     * Moves the carousel a number of slides from it's current.
+     * It will never go less than the first, or more than the last. What the
+     * timer does at the ends is up to `options.autoplay-end`.
+     *
+     * When `options.loop = 'infinite'` moving past either end animates into the loop clones
+     * and then silently re-bases onto the real slide once the animation ends.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Number} direction A positive/negative number of slide indices to move
+     * @param {Object} [opts] Options such as transition & duration (overriding the instance's), the event
+     *                        that's the source of the move, and instant (to jump without animating)
+     * @param {Function} [callback] A callback tofire after the scroll fx finishes
+     */
+    move: function(direction, opts, callback){
+      var self, target, thisSlide, fromSlide, resolved, wraps, source, e;
+      self = this;
+      if(self._moving === true){
+        callback && callback();
+        return self;
+      }
+      self._moving = true;
+      opts = opts || {};
+      callback = self._moveCallback = callback || function(){};
+      fromSlide = self.model.get('current-slide');
+      resolved = Carousel.Layout.resolveIndex(self.layout, fromSlide + direction);
+      thisSlide = resolved.index;
+      wraps = resolved.wraps;
+
+      // Let listeners cancel a move to another slide, in which case we settle back where we are
+      source = opts.event || 'api';
+      if(thisSlide !== fromSlide){
+        e = { from:fromSlide, to:thisSlide, source:source, defaultPrevented:false, preventDefault:function(){ this.defaultPrevented = true; } };
+        self.fireEvent('beforemove', e);
+        if(e.defaultPrevented){
+          self._moving = false;
+          return self.move(0, opts, callback);
+        }
+      }
+
+      target = self.getSlideTarget(thisSlide);
+      if(target === null){
+        self._moving = false;
+        callback && callback();
+        return self;
+      }
+
+      self._setCurrentSlide(thisSlide);
+      self.lazyLoad();
+      if(opts.event !== 'timer' && direction !== 0)
+        self.announce(self.options.labels.live.substitute({ index:thisSlide+1, total:self.model.get('slides') }));
+
+      // Head into the clones on the far side; we'll re-base onto the real slide after
+      target += wraps * self.model.get('loop-size');
+
+      self._moveDelay = (function(){
+        var start, pair, duration, onAnimationEnd;
+        onAnimationEnd = function(){
+          self.element.removeClass('-transitioning').removeClass('-from-'+opts.event);
+          // Settle onto the real slide, jumping back if we moved into the loop clones, in it's resting state
+          self._move(-(target - (wraps * self.model.get('loop-size'))));
+          self._renderEffect(-self.getCurrentOffset(), thisSlide, thisSlide, -self.getCurrentOffset());
+          // Mark where we've actually come to rest, which a scroll container may have clamped
+          self._updatePosition(-self.getCurrentOffset());
+          self._updateSlideStates(-self.getCurrentOffset());
+          if(thisSlide !== fromSlide && opts.event !== 'history')
+            self._writeHistory(opts.event === 'timer');
+          self.fireEvent('moved', { from:fromSlide, to:thisSlide, source:source });
+          self._moving = false;
+          callback && callback();
+        };
+
+        // We animate from where we're rendered, like mid-drag. If we're snapping back from a drag, keep
+        // the slide we were dragging towards so the effect's progress returns to 0.
+        start = -self.getCurrentOffset(true);
+        pair = { to:thisSlide, offset:target };
+        if(thisSlide === fromSlide && self._effectState && self._effectState.from === fromSlide)
+          pair = { to:self._effectState.to, offset:self._effectState.toOffset };
+
+        // A scroll container can't go beyond its ends, so there may be nothing to scroll
+        if(self.renderMode === 'scroll')
+          target = Math.max(0, Math.min(target, self.model.get('total-size') - self.model.get('stage-size')));
+
+        if(start !== target){
+          self.fireEvent('move', { from:fromSlide, to:thisSlide, source:source });
+          // An instant move jumps, so there's nothing to animate
+          if(opts.instant)
+            return onAnimationEnd();
+          // Let the browser scroll smoothly, and finish once it's come to rest
+          if(self.renderMode === 'scroll'){
+            self._scrollEnded = onAnimationEnd;
+            self._scrollTo(target, true);
+            return;
+          }
+          duration = opts.duration != null ? opts.duration : self.options.duration;
+          // After a drag or wheel, only take as long as the distance that remains
+          if(opts.duration == null && ['touch', 'drag', 'wheel'].contains(opts.event))
+            duration *= Math.max(0.2, Math.min(1, Math.abs(target - start) / self.model.get('stage-size')));
+          self.element.addClass('-transitioning').addClass('-from-'+opts.event);
+          self.animator.start(start, target, { duration:duration, transition:opts.transition || self.options.transition }, function(offset){
+            self._renderEffect(offset, fromSlide, pair.to, pair.offset);
+          }, onAnimationEnd);
+
+        // If we're in single and we're sticky, then it's possible that a next/previous would not actually move the carousel
+        // if it's left is already less/more than the target. If that's the case, then keep moving.
+        }else if(self.options['slide-ends-alignment'] === 'sticky' && self.options['slide-mode'].contains('single') && direction !== 0 && thisSlide > 0 && thisSlide < self.model.get('slides')-1){
+          self._moving = false;
+          self.move(direction > 0 ? 1 : -1, opts, callback);
+        }else{
+          onAnimationEnd();
+        }
+      }).delay(10);
+
+      return self;
+    },
+
+    /**
+     * Sets the current slide on the model, the element's data & the nav
+     *
+     * @param {Number} index The slide index
+     */
+    _setCurrentSlide: function(index){
+      var self = this;
+      self.model.set('current-slide', index);
+      self.element.set('data-slide-index', index);
+      if(self.nav)
+        self.nav.setSelected(index);
+      return self;
+    },
+
+    /**
+     * Sets the element's data-position; start, middle or end. It's based on an offset, not the slide index.
+     *
+     * @param {Number} offset The offset
+     */
+    _updatePosition: function(offset){
+      this.element.set('data-position', Carousel.Layout.getPosition(this.layout, offset));
+      return this;
+    },
+
+    /**
+     * Gets the offsets a drag can reach before meeting resistance. See Carousel.Layout.getBounds.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @return {Object} The `min` & `max` offsets
+     */
+    getBounds: function(){
+      return Carousel.Layout.getBounds(this.layout);
+    },
+
+    /**
+     * Adds resistance to an offset beyond our bounds, so it only goes a fifth as far past the end
+     *
+     * @param {Number} offset   The offset
+     * @param {Object} [bounds] Our bounds, if already at hand
+     * @return {Number} The resisted offset
+     */
+    _resist: function(offset, bounds){
+      bounds = bounds || this.getBounds();
+      if(offset < bounds.min)
+        return bounds.min + (offset - bounds.min) / 5;
+      if(offset > bounds.max)
+        return bounds.max + (offset - bounds.max) / 5;
+      return offset;
+    },
+
+    /**
+     * Gets the index of the slide whose target is nearest an offset. When looping, distances wrap around.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Number} offset The offset
+     * @return {Number} The slide index
+     */
+    getSlideIndexAt: function(offset){
+      return Carousel.Layout.getSlideIndexAt(this.layout, offset);
+    },
+
+    /**
+     * Gets where a free scroll should settle, if `options.free-scroll-snap` is set; the nearest slide target,
+     * or the nearest offset that aligns a child as single-flex would.
+     *
+     * @param {Number} offset The offset we've come to rest at
+     * @return {Number} The offset to settle on
+     */
+    _getSnapOffset: function(offset){
+      var self, loopSize, bounds, base, candidates, nearest, i;
+      self = this;
+      loopSize = self.model.get('loop-size');
+      bounds = self.getBounds();
+      candidates = [];
+      if(self.options['free-scroll-snap'] === 'child'){
+        for(i = 0; i < self.layout.children.length; i++)
+          candidates.push(Carousel.Layout.getChildTarget(self.layout, i));
+      }else{
+        for(i = 0; i < self.model.get('slides'); i++)
+          candidates.push(self.getSlideTarget(i));
+      }
+      // When looping, compare within the same lap of the strip, and the next
+      base = loopSize > 0 ? Math.floor(offset / loopSize) * loopSize : 0;
+      nearest = null;
+      candidates.each(function(candidate){
+        candidate = Math.max(bounds.min, Math.min(bounds.max, candidate)) + base;
+        (loopSize > 0 ? [candidate, candidate + loopSize] : [candidate]).each(function(position){
+          if(nearest === null || Math.abs(position - offset) < Math.abs(nearest - offset))
+            nearest = position;
+        });
+      });
+      return nearest === null ? offset : nearest;
+    },
+
+    /**
+     * Coasts a free scroll from an offset with the velocity it was released at, slowing with friction. Past an end
+     * we brake hard and then ease back to it, while looping re-bases across the loop clones. The current slide & nav
+     * update as we pass slides. Once stopped we settle on a snap, if there is one.
+     *
+     * @param {Number} offset    The offset we were released at
+     * @param {Number} velocity  The velocity, in px/ms along our axis
+     * @param {String} type      The type of event that started it; 'touch' or 'drag'
+     * @param {Number} fromSlide The slide we were on when the drag started
+     */
+    _freeScroll: function(offset, velocity, type, fromSlide){
+      var self, loopSize, bounds, onStep, settle, finish;
+      self = this;
+      loopSize = self.model.get('loop-size');
+      bounds = self.getBounds();
+      self._moving = true;
+      self.element.addClass('-transitioning').addClass('-from-'+type);
+      self.fireEvent('move', { from:fromSlide, to:null, source:type });
+
+      onStep = function(now, velocity){
+        var result;
+        if(loopSize > 0 && (now < 0 || now > loopSize)){
+          now -= Math.floor(now / loopSize) * loopSize;
+          result = { now:now };
+        }else if(now < bounds.min || now > bounds.max){
+          result = { velocity:velocity * 0.5 };
+        }
+        self._renderDrag(now);
+        if(self.getSlideIndexAt(now) !== self.model.get('current-slide'))
+          self._setCurrentSlide(self.getSlideIndexAt(now));
+        return result;
+      };
+
+      finish = function(){
+        var now = -self.getCurrentOffset(true);
+        self._move(-now);
+        self._setCurrentSlide(self.getSlideIndexAt(now));
+        self._updatePosition(now);
+        self._updateSlideStates(now);
+        self.lazyLoad();
+        self.element.removeClass('-transitioning').removeClass('-from-'+type);
+        self._writeHistory();
+        self.fireEvent('moved', { from:fromSlide, to:self.model.get('current-slide'), source:type });
+        self._moving = false;
+        self.start();
+      };
+
+      settle = function(){
+        var now, to;
+        now = -self.getCurrentOffset(true);
+        to = Math.max(bounds.min, Math.min(bounds.max, self.options['free-scroll-snap'] ? self._getSnapOffset(now) : now));
+        if(to === now)
+          return finish();
+        self.animator.start(now, to, { duration:self.options.duration / 2, transition:'sine:out' }, function(now){
+          self._renderDrag(now);
+        }, finish);
+      };
+
+      self.animator.decay(offset, velocity, self.options['free-scroll-friction'], onStep, settle);
+      return self;
+    },
+
+    /**
+     * A very dumb move function that sets the transform property to the correct position.
+     * setAsOffset can be false to move it to an index that is not an actual offset (like, to halt a transition)
+     * The position is relative to the first real child; any prepended loop clones are compensated for.
+     *
+     * @param  {Number}  to                 The position to move to
+     * @param  {Boolean} [setAsOffset=true] Whether or not to set as our current offset.
+     */
+    _move: function(to, setAsOffset){
+      if(this.renderMode === 'scroll')
+        this._scrollTo(-to);
+      else
+        this.translateChildren(this.element.getChildren(), to);
+      this._renderedOffset = -to;
+      if(setAsOffset !== false)
+        this.currentOffset = to;
+      return this;
+    },
+
+    /**
+     * Gets our scroll position as an offset from the start, in 'scroll' render mode. In RTL, scrolling towards
+     * the end is negative.
+     *
+     * @return {Number} The offset
+     */
+    _getScrollOffset: function(){
+      return this.element[this.getAxis().scroll] * (this.isRtl() ? -1 : 1);
+    },
+
+    /**
+     * Scrolls to an offset, in 'scroll' render mode. A smooth scroll is finished through `_scrollEnded` once it
+     * comes to rest, or shortly after if it doesn't scroll at all.
+     *
+     * @param {Number}  offset   The offset
+     * @param {Boolean} [smooth] Scroll smoothly
+     */
+    _scrollTo: function(offset, smooth){
+      var self, axis, position, opts;
+      self = this;
+      axis = self.getAxis();
+      position = offset * (self.isRtl() ? -1 : 1);
+      self._expectedOffset = offset;
+      if(smooth && self.element.scrollTo){
+        opts = { behavior:'smooth' };
+        opts[axis.scrollTo] = position;
+        self.element.scrollTo(opts);
+        self._waitForScrollEnd();
+      }else{
+        self.element[axis.scroll] = position;
+      }
+      return self;
+    },
+
+    /**
+     * (Re)starts waiting for the scroll to come to rest, for browsers without a `scrollend` event
+     */
+    _waitForScrollEnd: function(){
+      var self = this;
+      clearTimeout(self._scrollEndDelay);
+      self._scrollEndDelay = self.onScrollEnd.delay(150);
+    },
+
+    /**
+     * Sets each child's scroll-snap alignment, in 'scroll' render mode; so only the first child of each slide
+     * is snapped to, offset as we'd align it.
+     */
+    _updateSnapPoints: function(){
+      var self, single, alignment, margin, previous;
+      self = this;
+      single = self.options['slide-size'] === null && self.options['slide-mode'].contains('single');
+      alignment = self.getAlignment();
+      margin = 'scroll-margin-'+(self.getAxis().axis === 'x' ? 'inline' : 'block')+'-start';
+      self._getChildren().each(function(child, i){
+        var index = Carousel.Layout.getSlideIndexOf(self.layout, i);
+        child.setStyle('scroll-snap-align', index !== previous ? (single ? alignment : 'start') : 'none');
+        child.setStyle(margin, single || index === previous ? '' : (self.getChildBounds(child).start - self.getSlideTarget(index))+'px');
+        previous = index;
+      });
+      return self;
+    },
+
+    /**
+     * Added to the element's events in initialize, in 'scroll' render mode. While the user scrolls, the
+     * timer is stopped and the current slide & nav follow along. Our own scrolls are left to move().
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Event} e The mootools scroll event
+     */
+    onScroll: function(e){
+      var self, offset, index;
+      self = this;
+      offset = self._getScrollOffset();
+      self._renderedOffset = offset;
+      if(self._moving || self._scrollEnded || (self._userScroll == null && Math.abs(offset - self._expectedOffset) < 1)){
+        self._waitForScrollEnd();
+        return;
+      }
+      if(self._userScroll == null){
+        self._userScroll = { from:self.model.get('current-slide') };
+        self.stop().fireEvent('move', { from:self._userScroll.from, to:null, source:'scroll' });
+      }
+      if((index = self.getSlideIndexAt(offset)) !== self.model.get('current-slide'))
+        self._setCurrentSlide(index);
+      self._updateSlideStates(offset);
+      self._waitForScrollEnd();
+    },
+
+    /**
+     * Added to the element's events in initialize, in 'scroll' render mode, and called once scrolling comes to
+     * rest where there's no `scrollend`. Finishes our move, or settles a scroll by the user.
+     *
+     * @memberof! module:Carousel.Carousel#
+     */
+    onScrollEnd: function(){
+      var self, ended, offset, from;
+      self = this;
+      clearTimeout(self._scrollEndDelay);
+      if((ended = self._scrollEnded)){
+        delete self._scrollEnded;
+        return ended();
+      }
+      if(self._userScroll == null)
+        return;
+      from = self._userScroll.from;
+      delete self._userScroll;
+      offset = self._getScrollOffset();
+      self.currentOffset = -offset;
+      self._setCurrentSlide(self.getSlideIndexAt(offset));
+      self._updatePosition(offset);
+      self._updateSlideStates(offset);
+      self.lazyLoad();
+      if(self.model.get('current-slide') !== from)
+        self._writeHistory();
+      self.fireEvent('moved', { from:from, to:self.model.get('current-slide'), source:'scroll' });
+      self.start();
+    },
+
+    /**
+     * Sets the transform of children to a position along our axis, like _move, without recording an offset.
+     * Effects use this to position children individually.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Elements|Array} children The children to transform
+     * @param {Number}         to       The position to move to
+     * @param {String}         [extra]  Additional transform functions, like a scale or rotate
+     */
+    translateChildren: function(children, to, extra){
+      to = (to - this.model.get('loop-offset')) * (this.isRtl() ? -1 : 1);
+      new Elements(children).setStyle(this.options['transform-property'], this.getAxis().translate+'('+to+'px)'+(extra ? ' '+extra : ''));
+      return this;
+    },
+
+    /**
+     * Gets the effect for `options.effect`, from the Carousel.Effects registry
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @return {Object} The effect
+     */
+    getEffect: function(){
+      return Carousel.Effects[this.options.effect] || Carousel.Effects.slide;
+    },
+
+    /**
+     * Swaps the effect's class on the element if `options.effect` has changed since last time,
+     * letting the previous effect clean up after itself.
+     */
+    _setupEffect: function(){
+      var self, name;
+      self = this;
+      name = Carousel.Effects[self.options.effect] && self.renderMode !== 'scroll' ? self.options.effect : 'slide';
+      if(name === self.effect)
+        return self;
+      if(self.effect){
+        Carousel.Effects[self.effect].teardown && Carousel.Effects[self.effect].teardown(self);
+        self.element.removeClass('-effect-'+self.effect);
+      }
+      delete self._effectState;
+      self.effect = name;
+      self.element.addClass('-effect-'+name);
+      return self;
+    },
+
+    /**
+     * Renders the effect at an offset, between a slide and the slide we're heading towards.
+     * The progress is how far the offset is between their targets.
+     *
+     * @param {Number} offset   The offset to render at
+     * @param {Number} from     The slide index we're coming from
+     * @param {Number} to       The slide index we're heading towards
+     * @param {Number} toOffset The offset of the `to` slide, which may be into the loop clones
+     */
+    _renderEffect: function(offset, from, to, toOffset){
+      var self, fromOffset, progress;
+      self = this;
+      fromOffset = self.getSlideTarget(from);
+      progress = toOffset === fromOffset ? 1 : Math.max(0, Math.min(1, (offset - fromOffset) / (toOffset - fromOffset)));
+      self._renderedOffset = offset;
+      self._effectState = { from:from, to:to, toOffset:toOffset };
+      self.getEffect().render(self, { from:from, to:to, progress:progress, offset:offset, direction:toOffset < fromOffset ? -1 : 1 });
+      return self;
+    },
+
+    /**
+     * Renders a drag at an offset, between the current slide and the adjacent slide in the direction of the drag.
+     *
+     * @param {Number} offset The offset being dragged to
+     */
+    _renderDrag: function(offset){
+      var self, current, slides, to, toOffset;
+      self = this;
+      current = self.model.get('current-slide');
+      slides = self.model.get('slides');
+      to = current + (offset < self.getSlideTarget(current) ? -1 : 1);
+      if(self.model.get('loop-size') > 0){
+        toOffset = self.getSlideTarget((to + slides) % slides) + (to < 0 ? -1 : (to > slides-1 ? 1 : 0)) * self.model.get('loop-size');
+        to = (to + slides) % slides;
+      }else{
+        to = Math.max(0, Math.min(to, slides-1));
+        toOffset = self.getSlideTarget(to);
+      }
+      self._updateSlideStates(offset);
+      return self._renderEffect(offset, current, to, toOffset);
+    },
+
+    /**
+     * Gets the children of the element, excluding any loop clones
+     *
+     * @return {Elements} The real children
+     */
+    _getChildren: function(){
+      return this.element.getChildren(':not(.-clone)');
+    },
+
+    /**
+     * Clones children from each end onto the opposite end until they cover at least the stage
+     * size, so an infinite loop always has content to move into. Records the size of the prepended
+     * clones ('loop-offset') and the distance between a child and it's clone ('loop-size').
+     *
+     * @param {Number} size The stage size to cover
+     */
+    _addClones: function(size){
+      var self, axis, children, covered, index, clone, appended, offset;
+      self = this;
+      axis = self.getAxis();
+      offset = self.getCurrentOffset(true);
+      children = self._getChildren();
+
+      for(covered = index = 0; covered < size && index < children.length; index++){
+        clone = self._cloneChild(children[index]).inject(self.element, 'bottom');
+        appended = appended || clone;
+        covered += clone.getSize()[axis.axis];
+      }
+      for(covered = index = 0; covered < size && index < children.length; index++){
+        clone = self._cloneChild(children[children.length - 1 - index]).inject(self.element, 'top');
+        covered += clone.getSize()[axis.axis];
+      }
+
+      // Use "offsetX" so we don't take into account the current translate
+      self._setLoop(self.getChildBounds(children[0], self.element.getFirst()).start, self.getChildBounds(appended, children[0]).start);
+      self.element.addClass('-adjusting');
+      self._move(offset);
+      self.element.removeClass('-adjusting');
+      return self;
+    },
+
+    /**
+     * Clones a child for the loop. A clone is hidden from assistive tech, and since that mustn't hide anything
+     * focusable, everything within it is taken out of the tab order. It's not made inert, so it can still be clicked.
+     *
+     * @param {Element} child The child
+     * @return {Element} The clone
+     */
+    _cloneChild: function(child){
+      var clone = child.clone().addClass('-clone').set('aria-hidden', 'true').removeProperty('inert').store('carousel:original', child);
+      clone.getElements(FOCUSABLE).set('tabindex', -1);
+      if(clone.match(FOCUSABLE))
+        clone.set('tabindex', -1);
+      return clone;
+    },
+
+    /**
+     * Records the loop clones' measurements, in the model & our layout
+     *
+     * @param {Number} offset The size of the prepended clones
+     * @param {Number} size   The distance between a child and it's clone
+     */
+    _setLoop: function(offset, size){
+      this.model.set({ 'loop-offset':offset, 'loop-size':size });
+      this.layout['loop-size'] = size;
+      return this;
+    },
+
+    /**
+     * Removes any loop clones, keeping the current position
+     */
+    _removeClones: function(){
+      var self, offset, clones;
+      self = this;
+      clones = self.element.getChildren('.-clone');
+      if(clones.length){
+        offset = self.getCurrentOffset(true);
+        clones.destroy();
+        self._setLoop(0, 0);
+        self.element.addClass('-adjusting');
+        self._move(offset);
+        self.element.removeClass('-adjusting');
+      }
+      return self;
+    },
+
+    /**
+     * Marks each child with it's state at the passed offset; `-visible` when wholly within the stage or
+     * `-partially-visible`, `-active` when in the current slide, and `-prev` or `-next` when in the slides
+     * either side. Clones are marked as their originals. The children outside of the view are made `inert`
+     * and `aria-hidden`, so they can't be tabbed to or read, while the children within (even partially) are
+     * made available. A `slidevisible` or `slidehidden` event fires for each child that comes into or out of view.
+     *
+     * @param {Number} offset The offset the carousel is at
+     */
+    _updateSlideStates: function(offset){
+      var self, stageSize, current, slides, looping, children, prev, next, i;
+      self = this;
+      stageSize = self.model.get('stage-size');
+      current = self.model.get('current-slide');
+      slides = self.model.get('slides');
+      looping = self.model.get('loop-size') > 0;
+      children = self._getChildren();
+      prev = looping ? (current - 1 + slides) % slides : current - 1;
+      next = looping ? (current + 1) % slides : current + 1;
+
+      i = 0;
+      self.element.getChildren().each(function(child){
+        var original, childIndex, bounds, index, visibility, state, last;
+        original = child.retrieve('carousel:original');
+        // The real children come in order, so only a clone needs to look up it's original
+        childIndex = original ? children.indexOf(original) : i++;
+        bounds = self.getChildBounds(child, children[0]);
+        index = Carousel.Layout.getSlideIndexOf(self.layout, childIndex);
+        if(bounds.start - offset > -1 && bounds.end - offset < stageSize + 1)
+          visibility = 'visible';
+        else if(bounds.end - offset > 1 && bounds.start - offset < stageSize - 1)
+          visibility = 'partially-visible';
+        else
+          visibility = 'hidden';
+        state = [visibility, index === current ? 'active' : '', index === prev ? 'prev' : '', index === next ? 'next' : ''].join(' ');
+
+        // Only touch the DOM when the state changes, since we're called on every frame of a drag
+        last = child.retrieve('carousel:state');
+        if(state === last)
+          return;
+        child.store('carousel:state', state);
+        ['visible', 'partially-visible', 'active', 'prev', 'next'].each(function(name){
+          child.toggleClass('-'+name, state.split(' ').contains(name));
+        });
+        if(original)
+          return;
+
+        // A scroll container lets find-in-page & focus scroll to any child, so they all stay available
+        if(visibility !== 'hidden' || self.renderMode === 'scroll')
+          child.removeProperty('inert').removeProperty('aria-hidden');
+        else
+          child.set({ 'inert':'', 'aria-hidden':'true' });
+
+        last = last ? last.split(' ')[0] : 'hidden';
+        if(last === 'hidden' && visibility !== 'hidden')
+          self.fireEvent('slidevisible', { slide:child, index:childIndex, visibility:visibility });
+        else if(last !== 'hidden' && visibility === 'hidden')
+          self.fireEvent('slidehidden', { slide:child, index:childIndex });
+      });
+      return self;
+    },
+
+    /**
+     * Gets the real children that are within the stage, even partially, at an offset
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Number} offset The offset, as returned from getSlideTarget
+     * @return {Elements} The visible children
+     */
+    getVisibleChildren: function(offset){
+      var self, children, stageSize;
+      self = this;
+      children = self._getChildren();
+      stageSize = self.model.get('stage-size');
+      return children.filter(function(child){
+        var bounds = self.getChildBounds(child, children[0]);
+        return bounds.end - offset > 1 && bounds.start - offset < stageSize - 1;
+      });
+    },
+
+    /**
+     * If `options.lazy` is true, loads the media of any children within `lazy-range` slides of the current slide,
+     * or already within the stage. When looping, the distance wraps around the ends.
+     *
+     * @memberof! module:Carousel.Carousel#
+     */
+    lazyLoad: function(){
+      var self, current, slides, range, looping, offset;
+      self = this;
+      if(self.options.lazy !== true)
+        return self;
+      current = self.model.get('current-slide');
+      slides = self.model.get('slides');
+      range = self.options['lazy-range'] || 0;
+      looping = self.model.get('loop-size') > 0;
+      offset = -self.getCurrentOffset();
+      self._getChildren().each(function(child, i){
+        var distance, bounds;
+        if(child.retrieve('carousel:lazy'))
+          return;
+        distance = Math.abs(Carousel.Layout.getSlideIndexOf(self.layout, i) - current);
+        if(looping)
+          distance = Math.min(distance, slides - distance);
+        bounds = self.getChildBounds(child);
+        if(distance <= range || (bounds.end > offset && bounds.start < offset + self.model.get('stage-size')))
+          self._loadSlide(child);
+      });
+      return self;
+    },
+
+    /**
+     * Swaps in the `data-src` & `data-srcset` of a child's media, and it's loop clones. Once all the images have
+     * loaded (or errored) we fire `slideloaded` and, if the child's size changed in a layout that measures children,
+     * recalculate.
+     *
+     * @param {Element} child The child to load
+     */
+    _loadSlide: function(child){
+      var self, axis, getCopies, media, size, pending, failed, onDone;
+      self = this;
+      axis = self.getAxis();
+      child.store('carousel:lazy', true);
+
+      // The child and any of it's current loop clones
+      getCopies = function(){
+        return [child].append(self.element.getChildren('.-clone').filter(function(clone){
+          return clone.retrieve('carousel:original') === child;
+        }));
+      };
+      media = [];
+      getCopies().each(function(copy){
+        media.append(copy.getElements('[data-src], [data-srcset]'));
+        if(copy.get('data-src') || copy.get('data-srcset'))
+          media.push(copy);
+      });
+      if(!media.length)
+        return self;
+
+      size = child.getSize()[axis.axis];
+      pending = 0;
+      failed = false;
+      new Elements(getCopies()).addClass('-loading');
+
+      onDone = function(e){
+        if(e){
+          e.target.removeEvents({ load:onDone, error:onDone });
+          if(e.type === 'error')
+            failed = true;
+        }
+        if(--pending > 0)
+          return;
+        new Elements(getCopies()).removeClass('-loading').addClass(failed ? '-error' : '-loaded');
+        self.fireEvent('slideloaded', { slide:child, index:self._getChildren().indexOf(child), error:failed });
+        if(self.options['slide-size'] === null && self.options['slide-mode'] !== 'single' && child.getSize()[axis.axis] !== size){
+          clearTimeout(self._lazyDelay);
+          self._lazyDelay = (function(){
+            self.recalculate();
+          }).delay(50);
+        }
+      };
+
+      pending = 1;
+      media.each(function(element){
+        if(element.get('tag') === 'img'){
+          pending++;
+          element.addEvents({ load:onDone, error:onDone });
+        }
+        if(element.get('data-srcset'))
+          element.set('srcset', element.get('data-srcset')).removeProperty('data-srcset');
+        if(element.get('data-src'))
+          element.set('src', element.get('data-src')).removeProperty('data-src');
+      });
+      // Release our own hold, so children without images finish right away
+      onDone();
+      return self;
+    },
+
+    /**
+     * Politely announces a message to assistive technology through our live region
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {String} message The message to announce
+     */
+    announce: function(message){
+      var self = this;
+      if(!self.live.getParent() && self.element.getParent())
+        self.live.inject(self.element, 'after');
+      self.live.set('text', message);
+      return self;
+    },
+
+    /**
+     * Moves to an index, rather than a direction.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Number} index The index to move to
+     * @param {Object} [opts] Options to pass to move
+     * @param {Function} [callback] A callback to pass to move
+     */
+    moveToIndex: function(index, opts, callback){
+      var self;
+      self = this;
+      self.move(index - self.model.get('current-slide'), opts, callback);
+      return self;
+    },
+
+    /**
+     * Gets the slide index held in the URL for us, when `options.history` is on. It can be the index, or the
+     * `data-slide-name` or `id` of one of the children.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @return {Number|null} The slide index, or null if there's none
+     */
+    getHistoryIndex: function(){
+      var self, value, child;
+      self = this;
+      if(!self._hasHistory())
+        return null;
+      value = (self._getHistoryParams() || {})[self._historyKey];
+      if(value == null || value === '')
+        return null;
+      if(/^\d+$/.test(value))
+        return Math.min(value.toInt(), Math.max(0, self.model.get('slides')-1));
+      child = self._getChildren().filter(function(child){
+        return child.get('data-slide-name') === value || child.get('id') === value;
+      })[0];
+      return child ? self.getSlideIndexOf(child) : null;
+    },
+
+    /**
+     * Whether we keep our slide in the URL; `options.history` is on, and we have a key for it
+     */
+    _hasHistory: function(){
+      return !!this.options.history && this._historyKey != null;
+    },
+
+    /**
+     * Parses the URL's hash or query, dependant on `options.history`, into an object. A hash that isn't
+     * key=value pairs, like a page anchor, isn't ours to use, so we get null and leave it be.
+     */
+    _getHistoryParams: function(){
+      var params, value;
+      params = {};
+      value = (this.options.history === 'query' ? location.search : location.hash).replace(/^[#?]/, '');
+      if(this.options.history !== 'query' && value && !/^[^=&]+=[^&]*(&[^=&]+=[^&]*)*$/.test(value))
+        return null;
+      value.split('&').each(function(pair){
+        pair = pair.split('=');
+        if(pair[0])
+          params[decodeURIComponent(pair[0])] = decodeURIComponent(pair.slice(1).join('=').replace(/\+/g, ' '));
+      });
+      return params;
+    },
+
+    /**
+     * Gets the name of a slide for the URL; the `data-slide-name` or `id` of its first child, else its index
+     *
+     * @param {Number} index The slide index
+     */
+    _getSlideName: function(index){
+      var child = this.getSlideChild(index);
+      return (child && (child.get('data-slide-name') || child.get('id'))) || String(index);
+    },
+
+    /**
+     * Gets the first child of a slide
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Number} index The slide index
+     * @return {Element|null} The child, if any
+     */
+    getSlideChild: function(index){
+      return this._getSlideChildren()[index] || null;
+    },
+
+    /**
+     * Gets the first child of each slide, in a single pass over the children
+     *
+     * @return {Array} The children, null where a slide has none
+     */
+    _getSlideChildren: function(){
+      var self, slideChildren, index;
+      self = this;
+      slideChildren = [];
+      for(index = 0; index < self.model.get('slides'); index++)
+        slideChildren.push(null);
+      self._getChildren().each(function(child, i){
+        index = Carousel.Layout.getSlideIndexOf(self.layout, i);
+        if(!slideChildren[index])
+          slideChildren[index] = child;
+      });
+      return slideChildren;
+    },
+
+    /**
+     * Gets the title of each slide, from the `data-title` of its first child, for the nav
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @return {Array} The titles, null where a slide has none
+     */
+    getSlideTitles: function(){
+      return this._getSlideChildren().map(function(child){
+        return child && child.get('data-title') || null;
+      });
+    },
+
+    /**
+     * Writes the current slide to the URL, when `options.history` is on, adding a history entry unless replacing.
+     *
+     * @param {Boolean} [replace=false] Replace the current history entry, rather than adding one
+     */
+    _writeHistory: function(replace){
+      var self, params, query, url;
+      self = this;
+      if(!self._hasHistory() || !(params = self._getHistoryParams()))
+        return self;
+      params[self._historyKey] = self._getSlideName(self.model.get('current-slide'));
+      query = Object.toQueryString(params);
+      url = self.options.history === 'query' ? location.pathname + '?' + query + location.hash : location.pathname + location.search + '#' + query;
+      if(url === location.pathname + location.search + location.hash)
+        return self;
+      if(window.history && history.pushState)
+        history[replace ? 'replaceState' : 'pushState'](history.state, '', url);
+      else if(self.options.history === 'hash')
+        replace ? location.replace(url) : (location.hash = query);
+      return self;
+    },
+
+    /**
+     * Added to the window's popstate & hashchange events in initialize, when `options.history` is on. Moves to
+     * the slide in the URL, so Back & Forward step through slides; or to the first if the URL has none.
+     *
+     * @memberof! module:Carousel.Carousel#
+     */
+    onHistoryChange: function(){
+      var self, index;
+      self = this;
+      // Following a page anchor isn't a change of slide
+      if(!self._getHistoryParams())
+        return;
+      index = self.getHistoryIndex();
+      index = index == null ? 0 : index;
+      if(index !== self.model.get('current-slide'))
+        self.stop().moveToIndex(index, { event:'history' }, function(){ self.start(); });
+    },
+
+    /**
+     * Moves forward one
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Object} [opts] Options to pass to move
+     */
+    next: function(opts){
+      return this.move(1, opts);
+    },
+
+    /**
+     * Moves backwards one
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Object} [opts] Options to pass to move
+     */
+    previous: function(opts){
+      return this.move(-1, opts);
+    },
+
+    /**
+     * Gets the children that make up the carousel, excluding any loop clones
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @return {Elements} The children
+     */
+    getSlides: function(){
+      return this._getChildren();
+    },
+
+    /**
+     * Adds a child at an index, recalculating while keeping the current position. Fires `slidesadded`.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Element} element The child to add
+     * @param {Number}  [index] The index to add it at; defaults to the end
+     */
+    addSlide: function(element, index){
+      var self, children, anchor;
+      self = this;
+      element = $(element);
+      children = self._getChildren();
+      anchor = children.length ? self.getFirstVisibleChild() : null;
+      if(index == null || index >= children.length)
+        index = children.length;
+      if(children[index])
+        element.inject(children[index], 'before');
+      else if(children.length)
+        element.inject(children.getLast(), 'after');
+      else
+        element.inject(self.element);
+      self._flushMutations();
+      self.recalculate(anchor);
+      self.fireEvent('slidesadded', { slides:[element], index:index });
+      return self;
+    },
+
+    /**
+     * Removes a child, recalculating while keeping the current position. If the child removed was
+     * the first visible, we'll stay on the child after it (or before it, if it was the last).
+     * Fires `slidesremoved`.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Number|Element} index The index of the child to remove, or the child itself
+     */
+    removeSlide: function(index){
+      var self, children, child, anchor;
+      self = this;
+      children = self._getChildren();
+      child = typeOf(index) === 'element' ? index : children[index];
+      index = children.indexOf(child);
+      if(index === -1)
+        return self;
+      anchor = self.getFirstVisibleChild();
+      if(anchor === child)
+        anchor = children[index+1] || children[index-1] || null;
+      self._releaseChild(child.dispose());
+      self._flushMutations();
+      self.recalculate(anchor);
+      self.fireEvent('slidesremoved', { slides:[child], index:index });
+      return self;
+    },
+
+    /**
+     * Replaces all of the children, staying on the same slide index if it still exists.
+     * Fires `slidesremoved` & `slidesadded`.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Array|Elements} elements The new children
+     */
+    replaceSlides: function(elements){
+      var self, removed, current, callback;
+      self = this;
+      current = self.model.get('current-slide');
+      removed = self._getChildren().dispose();
+      removed.each(self._releaseChild, self);
+      self.element.adopt(elements);
+      self._flushMutations();
+      callback = self._moving ? self._moveCallback : null;
+      self._interrupt().calculate();
+      self.model.set('current-slide', Math.min(current, self.model.get('slides')-1));
+      self.move(0, { event:'api', instant:true }, callback);
+      self.fireEvent('slidesremoved', { slides:removed, index:0 });
+      self.fireEvent('slidesadded', { slides:self._getChildren(), index:0 });
+      return self;
+    },
+
+    /**
+     * Clears what we've set on a child that is no longer in the carousel
+     *
+     * @param {Element} child The removed child
+     */
+    _releaseChild: function(child){
+      var snapshot = child.retrieve('carousel:snapshot');
+      child.eliminate('carousel:state');
+      if(snapshot){
+        restoreSnapshot(child, snapshot);
+        child.eliminate('carousel:snapshot');
+        return;
+      }
+      child.setStyle(this.options['transform-property'], '');
+      ['role', 'aria-roledescription', 'aria-label', 'aria-hidden', 'inert'].each(function(name){
+        child.removeProperty(name);
+      });
+    },
+
+    /**
+     * Discards any pending mutation records from changes we made ourselves
+     */
+    _flushMutations: function(){
+      this.observer && this.observer.takeRecords();
+    },
+
+    /**
+     * If `options.observe` is true, this is our MutationObserver callback. Children added or removed outside
+     * of our API are recalculated for, keeping the current position, and evented. Our loop clones are ignored.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {MutationRecord[]} records The mutation records
+     */
+    onMutation: function(records){
+      var self, added, removed, isChild;
+      self = this;
+      isChild = function(node){
+        return node.nodeType === 1 && !$(node).hasClass('-clone');
+      };
+      added = [];
+      removed = [];
+      records.each(function(record){
+        added.append(Array.filter(record.addedNodes, isChild));
+        removed.append(Array.filter(record.removedNodes, isChild));
+      });
+      if(!added.length && !removed.length)
+        return;
+
+      removed.each(self._releaseChild, self);
+      self.recalculate();
+      self._flushMutations();
+      if(removed.length)
+        self.fireEvent('slidesremoved', { slides:removed });
+      if(added.length)
+        self.fireEvent('slidesadded', { slides:added });
+    },
+
+    /**
+     * Since we're not a MooVeeStar.View, we provide a way to detach the carousel from the element.
+     * Removes all events, cancels anything pending, and destroys the nav if exists.
+     *
+     * @memberof! module:Carousel.Carousel#
+     */
+    detach: function(){
+      var self;
+      self = this;
+      self._links.map(function(link){ return link.carousel; }).each(self.unlink, self);
+      if(self.nav){
+        self.nav.removeEvent('choose', self.onNavChoose);
+        $(self.nav).removeEvents({ focusin:self.onFocusIn, focusout:self.onFocusOut });
+        if(!self.customNav)
+          self.nav.destroy();
+      }
+
+      window.removeEvent('resize', self.onWindowResize);
+      window.removeEvents({ popstate:self.onHistoryChange, hashchange:self.onHistoryChange });
+      self.stop();
+      self.animator.stop();
+      [self._initDelay, self._moveDelay, self._resizeDelay, self._lazyDelay, self._scrollEndDelay].each(clearTimeout);
+      delete self._scrollEnded;
+      self.element.removeEvents({ scroll:self.onScroll, scrollend:self.onScrollEnd });
+      self._removeClickPrevention && self._removeClickPrevention();
+      self._moving = false;
+      self.observer && self.observer.disconnect();
+      self.viewportObserver && self.viewportObserver.disconnect();
+      document.removeEvent('visibilitychange', self.onVisibilityChange);
+      self.element.removeEvents({ mouseenter:self.onMouseEnter, mouseleave:self.onMouseLeave });
+      self._removeClones();
+      self.element.removeClass('carousel-view');
+      self.element.removeEvents({ touchstart:self.onTouchStart, wheel:self.onWheel });
+      if(self._wheel){
+        clearTimeout(self._wheel.delay);
+        delete self._wheel;
+      }
+      self.element.removeEvent(window.PointerEvent ? 'pointerdown' : 'mousedown', self.onPointerDown);
+      self.element.removeEvents({ keydown:self.onKeyDown, focusin:self.onFocusIn, focusout:self.onFocusOut, click:self.onClick });
+      self.live.destroy();
+      return self;
+    },
+
+    /**
+     * Detaches, and restores the element & its children as they were before we carousel-ized them, so another
+     * Carousel can be created on the element. Media that's been lazy loaded stays loaded.
+     *
+     * @memberof! module:Carousel.Carousel#
+     */
+    destroy: function(){
+      var self = this;
+      if(self._destroyed)
+        return self;
+      self._destroyed = true;
+      self.detach();
+      if(self.effect && Carousel.Effects[self.effect].teardown)
+        Carousel.Effects[self.effect].teardown(self);
+      self._getChildren().each(self._releaseChild, self);
+      if(self._snapshot)
+        restoreSnapshot(self.element, self._snapshot);
+      self.element.eliminate('carousel');
+      return self;
+    },
+
+    /**
+     * If we auto instantiate a nav, this is added to events in initialize.
+     * When we choose an item from the nav, we stop, move to that index, and start up again. The nav's
+     * arrows choose a `direction` instead, so we move by one, the short way around when looping.
+     *
+     * @memberof! module:Carousel.Carousel#
+     */
+    onNavChoose: function(e){
+      var self = this;
+      // A carousel used as our nav passes its click, which shouldn't follow any anchor chosen
+      if(e.event)
+        e.event.preventDefault();
+      if(e.direction)
+        self.stop().move(e.direction, { event:'nav' }, function(){ self.start(); });
+      else
+        self.stop().moveToIndex(e.index, { event:'nav' }, function(){ self.start(); });
+    },
+
+    /**
+     * Part of the nav contract, so a carousel can be another's nav. Marks the child at an index as selected and,
+     * unless it's already wholly within the stage, moves to the slide holding it.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Number} index The child index
+     */
+    setSelected: function(index){
+      var self, children, child, bounds, offset;
+      self = this;
+      children = self._getChildren();
+      children.removeClass('-selected').removeProperty('aria-current');
+      if(!(child = children[index]))
+        return self;
+      child.addClass('-selected').set('aria-current', 'true');
+      // Don't fight a drag
+      if(self.model.get('slides') == null || self.element.hasClass('-touching') || self.element.hasClass('-dragging'))
+        return self;
+      bounds = self.getChildBounds(child);
+      offset = -self.getCurrentOffset();
+      if(bounds.start < offset || bounds.end > offset + self.model.get('stage-size'))
+        self.moveToIndex(self.getSlideIndexOf(child));
+      return self;
+    },
+
+    /**
+     * Added to the element's events in initialize. Fires `choose` with the index of the child clicked, which lets
+     * a carousel stand in for a Carousel.Nav. Clicks at the end of a drag have been swallowed by then.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Event} e The mootools click event
+     */
+    onClick: function(e){
+      var self, child;
+      self = this;
+      child = self.element.getChildren().filter(function(child){
+        return child === e.target || child.contains(e.target);
+      })[0];
+      if(!child)
+        return;
+      child = child.retrieve('carousel:original') || child;
+      self.fireEvent('choose', { index:self._getChildren().indexOf(child), event:e });
+    },
+
+    /**
+     * Added to the element's events in initialize. Moves with the arrow keys along our orientation,
+     * and to the first and last slides with Home & End.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Event} e The mootools keydown event
+     */
+    onKeyDown: function(e){
+      var self, keys;
+      self = this;
+      keys = self.getAxis().keys;
+      if(self.isRtl())
+        keys = { previous:keys.next, next:keys.previous };
+      // Only when the stage itself is focused, so we don't steal keys from content within
+      if(e.target !== self.element)
+        return;
+      if(e.code === keys.previous)
+        self.previous({ event:'key' });
+      else if(e.code === keys.next)
+        self.next({ event:'key' });
+      else if(e.code === KEYS.home)
+        self.moveToIndex(0, { event:'key' });
+      else if(e.code === KEYS.end)
+        self.moveToIndex(self.model.get('slides')-1, { event:'key' });
+      else
+        return;
+      e.preventDefault();
+    },
+
+    /**
+     * Added to the element's & nav's events in initialize. Pauses the timer when focus enters.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Event} e The mootools focusin event
+     */
+    onFocusIn: function(e){
+      this._setPaused('focus', this.options['pause-on-focus'] === true);
+    },
+
+    /**
+     * Added to the element's & nav's events in initialize. Resumes the timer when focus
+     * leaves the element and the nav altogether.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Event} e The mootools focusout event
+     */
+    onFocusOut: function(e){
+      var self, to;
+      self = this;
+      to = e.event.relatedTarget;
+      if(to && (self.element.contains(to) || (self.nav && $(self.nav).contains(to))))
+        return;
+      self._setPaused('focus', false);
+    },
+
+    /**
+     * Added to the element's events in initialize. Pauses the timer while hovered.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Event} e The mootools mouseenter event
+     */
+    onMouseEnter: function(e){
+      this._setPaused('hover', this.options['pause-on-hover'] === true);
+    },
+
+    /**
+     * Added to the element's events in initialize. Resumes the timer once the mouse leaves.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Event} e The mootools mouseleave event
+     */
+    onMouseLeave: function(e){
+      this._setPaused('hover', false);
+    },
+
+    /**
+     * Added to the document's events in initialize. Pauses the timer while the page is hidden.
+     *
+     * @memberof! module:Carousel.Carousel#
+     */
+    onVisibilityChange: function(){
+      this._setPaused('hidden', this.options['pause-on-hidden'] === true && document.hidden === true);
+    },
+
+    /**
+     * If we resize the window, let's recalculate, keeping our position. There's a 50ms delay only do so on a resize pause.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Event} e The mootools resize event
+     */
+    onWindowResize: function(e){
+      var self;
+      self = this;
+      self.stop();
+      clearTimeout(self._resizeDelay);
+      self._resizeDelay = (function(){
+        self.recalculate().start();
+      }).delay(50);
+    },
+
+    /**
+     * If we're on a touch device,  this is added to events in initialize.
+     * When a touch is started on the element we start a drag. Some of this logic was based off "Swipe"
+     * https://github.com/bradbirdsall/Swipe/blob/master/swipe.js
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Event} e The mootools touch event
      */
     onTouchStart: function(startEvent){
-      var self, start, delta, isScrolling, onTouchMove, onTouchEnd;
+      this._drag(startEvent, 'touch');
+    },
+
+    /**
+     * If `options.drag` is true, this is added to events in initialize as a pointerdown, or a mousedown
+     * in browsers without pointer events. Touch pointers are left to onTouchStart when we have touch support.
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Event} e The mootools pointer or mouse event
+     */
+    onPointerDown: function(startEvent){
+      var self, pointerType;
+      self = this;
+      pointerType = startEvent.event.pointerType || 'mouse';
+      if(pointerType === 'touch' && self.element.hasClass('-has-touch-true'))
+        return;
+      // Only drag with the main button, and leave form fields alone
+      if(startEvent.event.button !== 0 || $(startEvent.target).match('input, textarea, select, option'))
+        return;
+      self._drag(startEvent, 'drag');
+    },
+
+    /**
+     * Handles a drag from a touch, pointer or mouse. We set up some initial data and listen for the
+     * move and end events; touches on the element, pointers on the element (once captured), and the
+     * mouse on the document since it has no capture.
+     *
+     * @param {Event}  startEvent The mootools touchstart, pointerdown or mousedown event
+     * @param {String} type       Either 'touch' or 'drag'. Used as the event type passed to move.
+     */
+    _drag: function(startEvent, type){
+      var self, axis, bounds, start, delta, samples, isScrolling, onDragMove, onDragEnd, getPoint, preventDefault, listeners, listenTo, captured;
       self = this;
+      axis = self.getAxis();
+      bounds = self.getBounds();
+      samples = [];
+
+      // Touch events have a touches list, while pointer and mouse events hold the point themselves
+      getPoint = function(e){
+        return e.touches ? e.touches[0] : e.event;
+      };
+      preventDefault = function(e){
+        e.preventDefault();
+      };
+
       start = {
-        scroll: -self.getComputedOffset(),  // The current offset, so we can stop it if we want
-        x: startEvent.touches[0].pageX,
-        y: startEvent.touches[0].pageY,
-        time: +new Date
+        scroll: -self.getCurrentOffset(true),  // The current rendered offset, so we can stop it if we want
+        x: getPoint(startEvent)[axis.page],     // Along our axis
+        y: getPoint(startEvent)[axis.crossPage], // Across our axis
+        time: +new Date,
+        slide: self.model.get('current-slide')
       };
       delta = {};
 
-      onTouchMove = function(e){
-        // Catch multi-touch and resizing
-        if(e.touches.length > 1 || e.scale && e.scale !== 1)
+      onDragMove = function(e){
+        // Catch multi-touch and resizing, or other pointers
+        if(e.touches && (e.touches.length > 1 || e.scale && e.scale !== 1))
+          return
+        if(e.event.pointerId != null && e.event.pointerId !== startEvent.event.pointerId)
           return
 
         // Once we move, stop the startEvent so we don't click any anchors
         startEvent.stop();
 
+        // Along our axis, towards the end is always positive; mirrored in RTL
         delta = {
-          x: e.touches[0].pageX - start.x,
-          y: e.touches[0].pageY - start.y
+          x: (getPoint(e)[axis.page] - start.x) * (self.isRtl() ? -1 : 1),
+          y: getPoint(e)[axis.crossPage] - start.y
         };
 
         if(Math.abs(delta.x) > 3 || Math.abs(delta.y) > 3){
-          // Check if the user wants to scroll the page vertically, not swipe our gallery
-          if(isScrolling == null)
+          // Check if the user wants to scroll the page across our axis, not swipe our gallery
+          if(isScrolling == null){
             isScrolling = !!(Math.abs(delta.x) < Math.abs(delta.y));
+            // Capture the pointer so we keep getting moves when it leaves the element. We don't capture
+            // until now since a captured pointer's click would no longer target the anchor pressed.
+            if(isScrolling === false && startEvent.event.pointerId != null && self.element.setPointerCapture){
+              self.element.setPointerCapture(startEvent.event.pointerId);
+              captured = true;
+            }
+            if(isScrolling === false)
+              self.fireEvent('dragstart', { type:type });
+          }
 
           if(isScrolling === false){
             e.stop();
             var target = start.scroll - delta.x;
 
             // Resistance
-            // If we're at (or beyond) the end, then add resistance. If we're in "sticky" ends alignment mode than
-            // the end is at the end of our stage, however, if we're in aligned mode, then the end accomodates the
-            // slide offsets when/if our slides are less than 100%
-            if(target < 0 - (self.options['slide-ends-alignment'] === 'sticky' ? 0 : self.model.get('slide-offset-left'))){
-              if(start.resistanceTargetLeft == null)
-                start.resistanceTargetLeft = Math.abs(delta.x);
-              target += (Math.abs(delta.x) - start.resistanceTargetLeft) / 1.25;
-            }else if(target > (self.model.get('total-size')) - self.model.get('stage-size') + (self.options['slide-ends-alignment'] === 'sticky' ? 0 : self.model.get('slide-offset-right'))){
-              if(start.resistanceTargetRight == null)
-                start.resistanceTargetRight = Math.abs(delta.x);
-              target -= (Math.abs(delta.x) - start.resistanceTargetRight) / 1.25;
-            }else{
-              delete start.resistanceTargetLeft;
-              delete start.resistanceTargetRight;
-            }
-
-            self._move(-target, false);
+            // If we're at (or beyond) the end, then add resistance.
+            target = self._resist(target, bounds);
+
+            self._renderDrag(target);
+            self.fireEvent('drag', { type:type, offset:target, progress:self.getProgress(target) });
+
+            // Keep the last 100ms of movement, so we can tell the velocity we're released at
+            samples.push({ time:+new Date, offset:target });
+            while(samples.length > 2 && samples[0].time < +new Date - 100)
+              samples.shift();
+            if(self.options['free-scroll'] === true && self.getSlideIndexAt(target) !== self.model.get('current-slide'))
+              self._setCurrentSlide(self.getSlideIndexAt(target));
           }
         }
       };
 
-      onTouchEnd = function(e){
+      onDragEnd = function(e){
         var canMove = false;
+        if(e && e.event && e.event.pointerId != null && e.event.pointerId !== startEvent.event.pointerId)
+          return
 
-        // We can move from the touch if we weren't scrolling,
+        // We can move from the drag if we weren't scrolling,
         // and have moved more than 20px in 250ms, or moved more than half the slide width
         if(isScrolling === false)
           canMove = ((+new Date - start.time) < 250 && Math.abs(delta.x) > 20) || (Math.abs(delta.x) > self.model.get('stage-size') / 2);
-        
-        // Move, or snap back, or, if we haven't moved, just start up again
-        self.element.removeClass('-touching').addClass('-from-touch');
-        if(canMove)
-          self.move(delta.x < 0 ? 1 : -1, { transition:'sine:out', event:'touch' }, function(){ self.start(); });
+
+        // A drag with a mouse or pen will still fire a click when released over an anchor, so eat it
+        if(type === 'drag' && isScrolling === false)
+          self._preventClick();
+
+        // Free scroll with the velocity we were released at, or move, or snap back, or, if we haven't moved, just start up again
+        self.element.removeClass('-'+(type === 'touch' ? 'touching' : 'dragging')).addClass('-from-'+type);
+        if(self.options['free-scroll'] === true && isScrolling === false && samples.length)
+          self._freeScroll(samples.getLast().offset, samples.length > 1 ? (samples.getLast().offset - samples[0].offset) / Math.max(1, samples.getLast().time - samples[0].time) : 0, type, start.slide);
+        else if(canMove)
+          self.move(delta.x < 0 ? 1 : -1, { transition:'sine:out', event:type }, function(){ self.start(); });
         else if(Math.abs(delta.x) > 0)
-          self.move(0, { transition:'sine:out', event:'touch' }, function(){ self.start(); });
+          self.move(0, { transition:'sine:out', event:type }, function(){ self.start(); });
         else
-          self.start().element.removeClass('-from-touch');
+          self.start().element.removeClass('-from-'+type);
+        if(isScrolling === false)
+          self.fireEvent('dragend', { type:type });
 
-        self.element.removeClass('-touching');
-        self.element.removeEvent('touchmove', onTouchMove);
-        self.element.removeEvent('touchend', onTouchEnd);
+        if(captured && self.element.hasPointerCapture && self.element.hasPointerCapture(startEvent.event.pointerId))
+          self.element.releasePointerCapture(startEvent.event.pointerId);
+        Object.each(listeners, function(fn, name){
+          listenTo.removeEvent(name, fn);
+        });
       };
 
-    
-      self.stop();
-      // If we're moving, then cut it off at the computed state
-      if(self.element.hasClass('-transitioning')){
-        self._move(-start.scroll, false);
-        self.element.removeClass('-transitioning');
+      if(type === 'touch'){
+        listenTo = self.element;
+        listeners = { touchmove:onDragMove, touchend:onDragEnd };
+      }else if(startEvent.event.pointerId != null){
+        listenTo = self.element;
+        listeners = { pointermove:onDragMove, pointerup:onDragEnd, pointercancel:onDragEnd, dragstart:preventDefault, selectstart:preventDefault };
+      }else{
+        listenTo = $(document);
+        listeners = { mousemove:onDragMove, mouseup:onDragEnd, dragstart:preventDefault, selectstart:preventDefault };
       }
-      
-      self.element.addClass('-touching');
-      self.element.addEvent('touchmove', onTouchMove);
-      self.element.addEvent('touchend', onTouchEnd);
+
+      // If we're moving, then cut it off where it is
+      self.stop()._interrupt();
+
+      self.element.addClass('-'+(type === 'touch' ? 'touching' : 'dragging'));
+      listenTo.addEvents(listeners);
+    },
+
+    /**
+     * Added to the element's events in initialize when `options.wheel` is on. Follows a wheel or trackpad gesture along
+     * our axis live, with the same resistance as a drag, but no further than the slides either side. Mostly cross-axis
+     * scrolling is left alone for the page. Once the gesture, and any inertia, comes to rest we snap through move().
+     *
+     * @memberof! module:Carousel.Carousel#
+     * @param {Event} e The mootools wheel event
+     */
+    onWheel: function(e){
+      var self, event, scale, along, cross, gesture, target;
+      self = this;
+      event = e.event;
+      // Lines & pages to pixels
+      scale = event.deltaMode === 1 ? 16 : (event.deltaMode === 2 ? self.model.get('stage-size') : 1);
+      if(self.getAxis().axis === 'y'){
+        along = event.deltaY;
+        cross = event.deltaX;
+      }else if(event.shiftKey || self.options['wheel-vertical'] === true){
+        along = Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : event.deltaY;
+        cross = 0;
+      }else{
+        along = event.deltaX;
+        cross = event.deltaY;
+      }
+      along *= scale * (self.isRtl() ? -1 : 1);
+      cross *= scale;
+
+      gesture = self._wheel;
+      if(!gesture){
+        if(Math.abs(along) <= Math.abs(cross) || self._moving && !self.animator.isRunning())
+          return;
+        gesture = self._wheel = self._startWheel();
+      }
+      e.preventDefault();
+      clearTimeout(gesture.delay);
+      gesture.delay = self._endWheel.delay(150, self);
+      gesture.delta += along;
+
+      target = Math.max(gesture.min, Math.min(gesture.max, self._resist(gesture.start + gesture.delta, gesture.bounds)));
+      self._renderDrag(target);
+      self.fireEvent('drag', { type:'wheel', offset:target, progress:self.getProgress(target) });
+    },
+
+    /**
+     * Starts following a wheel gesture from where we're rendered, cutting off any move
+     *
+     * @return {Object} The gesture
+     */
+    _startWheel: function(){
+      var self, slides, current, looping, neighbour, start;
+      self = this;
+      slides = self.model.get('slides');
+      current = self.model.get('current-slide');
+      looping = self.model.get('loop-size') > 0;
+      // The target of a slide either side, which may be into the loop clones
+      neighbour = function(index){
+        if(looping)
+          return self.getSlideTarget((index + slides) % slides) + (index < 0 ? -1 : (index > slides-1 ? 1 : 0)) * self.model.get('loop-size');
+        return self.getSlideTarget(index);
+      };
+      self.stop()._interrupt();
+      start = -self.getCurrentOffset(true);
+      self.element.addClass('-dragging');
+      self.fireEvent('dragstart', { type:'wheel' });
+      return {
+        start: start,
+        delta: 0,
+        bounds: self.getBounds(),
+        target: self.getSlideTarget(current),
+        min: looping || current > 0 ? Math.min(start, neighbour(current - 1)) : -Infinity,
+        max: looping || current < slides-1 ? Math.max(start, neighbour(current + 1)) : Infinity
+      };
+    },
+
+    /**
+     * Once a wheel gesture comes to rest, move a slide if it went far enough that way, or snap back
+     */
+    _endWheel: function(){
+      var self, gesture, offset, direction;
+      self = this;
+      if(!(gesture = self._wheel))
+        return;
+      delete self._wheel;
+      offset = -self.getCurrentOffset(true);
+      direction = Math.abs(offset - gesture.target) > self.model.get('stage-size') / 4 ? (offset > gesture.target ? 1 : -1) : 0;
+      self.element.removeClass('-dragging').addClass('-from-wheel');
+      self.move(direction, { transition:'sine:out', event:'wheel' }, function(){ self.start(); });
+      self.fireEvent('dragend', { type:'wheel' });
+    },
+
+    /**
+     * Swallows the next click on the element, in the capture phase, so anchors within don't follow
+     * after a drag. If no click comes shortly after, we stop listening.
+     */
+    _preventClick: function(){
+      var self, onClick, remove;
+      self = this;
+      onClick = function(e){
+        e.preventDefault();
+        e.stopPropagation();
+        remove();
+      };
+      remove = function(){
+        self.element.removeEventListener('click', onClick, true);
+      };
+      self.element.addEventListener('click', onClick, true);
+      clearTimeout(self._preventClickDelay);
+      self._preventClickDelay = remove.delay(100);
+      self._removeClickPrevention = function(){
+        clearTimeout(self._preventClickDelay);
+        remove();
+      };
+    }
+
+  });
+
+  // The slide math is in mvs-carousel-layout.js, so it can run without a DOM. If that's loaded after us, it sets this itself.
+  Carousel.Layout = Layout;
+
+  /**
+   * The registry of transition effects, by name, chosen with `options.effect`. An effect is an object with:
+   *
+   *  - `render(carousel, state)`  Required. Positions & styles the children for the state; `from` & `to` slide indices,
+   *                               a `progress` between them from 0 to 1, the `offset` of the strip as if sliding, and
+   *                               the `direction` (1 or -1). It's called each frame while moving or dragging, and with
+   *                               `from === to` and `progress = 1` once settled.
+   *  - `teardown(carousel)`       Optional. Cleans up any styles when the carousel changes to another effect.
+   *
+   * @memberof! module:Carousel
+   */
+  Carousel.Effects = {
+
+    // The default; the whole strip is moved
+    slide: {
+      render: function(carousel, state){
+        carousel._move(-state.offset, false);
+      }
+    },
+
+    // Children of the slide we're heading to fade in over the children of the slide we're leaving, in place
+    fade: {
+      render: function(carousel, state){
+        var fromOffset, toOffset, fromChildren, toChildren;
+        fromOffset = carousel.getSlideTarget(state.from);
+        toOffset = carousel.getSlideTarget(state.to);
+        fromChildren = carousel.getVisibleChildren(fromOffset);
+        toChildren = carousel.getVisibleChildren(toOffset);
+        carousel.element.getChildren().each(function(child){
+          if(toChildren.contains(child)){
+            carousel.translateChildren([child], -toOffset);
+            child.setStyles({ opacity:state.progress, zIndex:2 });
+          }else if(fromChildren.contains(child)){
+            carousel.translateChildren([child], -fromOffset);
+            child.setStyles({ opacity:1 - state.progress, zIndex:1 });
+          }else{
+            carousel.translateChildren([child], -toOffset);
+            child.setStyles({ opacity:0, zIndex:0 });
+          }
+        });
+      },
+      teardown: function(carousel){
+        carousel.element.getChildren().setStyles({ opacity:'', zIndex:'' });
+      }
+    },
+
+    // Children of the slide we're heading to slide in over the children of the slide we're leaving, which recede
+    stack: {
+      render: function(carousel, state){
+        var fromOffset, toOffset, fromChildren, toChildren, remaining;
+        fromOffset = carousel.getSlideTarget(state.from);
+        toOffset = carousel.getSlideTarget(state.to);
+        fromChildren = carousel.getVisibleChildren(fromOffset);
+        toChildren = carousel.getVisibleChildren(toOffset);
+        remaining = carousel.model.get('stage-size') * (1 - state.progress) * state.direction;
+        carousel.element.getChildren().each(function(child){
+          if(toChildren.contains(child)){
+            carousel.translateChildren([child], -toOffset + remaining);
+            child.setStyles({ opacity:1, zIndex:2 });
+          }else if(fromChildren.contains(child)){
+            carousel.translateChildren([child], -fromOffset, 'scale('+(1 - (0.1 * state.progress))+')');
+            child.setStyles({ opacity:1 - (0.5 * state.progress), zIndex:1 });
+          }else{
+            carousel.translateChildren([child], -toOffset);
+            child.setStyles({ opacity:0, zIndex:0 });
+          }
+        });
+      },
+      teardown: function(carousel){
+        carousel.element.getChildren().setStyles({ opacity:'', zIndex:'' });
+      }
+    },
+
+    // The strip moves as with slide, but each child is rotated & pushed back in 3D by it's distance from the center
+    coverflow: {
+      render: function(carousel, state){
+        var axis, first, stageSize;
+        axis = carousel.getAxis();
+        first = carousel._getChildren()[0];
+        stageSize = carousel.model.get('stage-size');
+        carousel.element.getChildren().each(function(child){
+          var bounds, distance;
+          bounds = carousel.getChildBounds(child, first);
+          distance = (((bounds.start + bounds.end) / 2) - state.offset - (stageSize / 2)) / ((bounds.end - bounds.start) || 1);
+          distance = Math.max(-3, Math.min(3, distance));
+          carousel.translateChildren([child], -state.offset, (axis.axis === 'x' ? 'rotateY('+(-Math.max(-1, Math.min(1, distance)) * (carousel.isRtl() ? -50 : 50)) : 'rotateX('+(Math.max(-1, Math.min(1, distance)) * 50))+'deg) translateZ('+(-Math.abs(distance) * 100)+'px)');
+          child.setStyle('z-index', 10 - Math.round(Math.abs(distance)));
+        });
+      },
+      teardown: function(carousel){
+        carousel.element.getChildren().setStyle('z-index', '');
+      }
+    }
+
+  };
+
+  /**
+   * Gets the Carousel on an element, if there is one
+   *
+   * @memberof! module:Carousel
+   * @param {Element|String} element The element, or its id
+   * @return {Carousel|null} The carousel
+   */
+  Carousel.getInstance = function(element){
+    return ((element = $(element)) && element.retrieve('carousel')) || null;
+  };
+
+  /**
+   * Reads a Carousel's options from an element's markup; a JSON object in `data-carousel-options`, overridden by
+   * any `data-carousel-<option>` attributes, like `data-carousel-slide-mode="single"`. Attribute values of true,
+   * false, null & numbers are converted, and those starting with `{` or `[` are parsed as JSON. JSON that
+   * doesn't parse is ignored.
+   *
+   * @memberof! module:Carousel
+   * @param {Element} element The element
+   * @return {Object} The options
+   */
+  Carousel.getOptionsFrom = function(element){
+    var options, json;
+    options = {};
+    if((json = element.get('data-carousel-options'))){
+      try{
+        options = JSON.parse(json) || {};
+      }catch(e){}
+    }
+    Array.from(element.attributes).each(function(attribute){
+      var name, value;
+      if(!(name = attribute.name.match(/^data-carousel-(.+)$/)) || name[1] === 'options')
+        return;
+      value = attribute.value;
+      if(value === 'true' || value === 'false' || value === 'null' || /^-?\d+(\.\d+)?$/.test(value) || /^[\[{]/.test(value)){
+        try{
+          value = JSON.parse(value);
+        }catch(e){}
+      }
+      options[name[1]] = value;
+    });
+    return options;
+  };
+
+  /**
+   * Creates a Carousel on each element within a root marked with `data-carousel`, and the root itself if it is,
+   * with options from its markup (see `Carousel.getOptionsFrom`). Elements that already have a carousel are
+   * skipped, so it's safe to call again. With `observe`, carousels added to the root later are created, and
+   * those removed are destroyed, until `Carousel.unobserve`.
+   *
+   * @memberof! module:Carousel
+   * @param {Element} [root=document.body] The element to look within
+   * @param {Object}  [opts]               Options
+   * @param {Boolean} [opts.observe=false] Keep watching the root with a MutationObserver
+   * @return {Array} The carousels created
+   */
+  Carousel.init = function(root, opts){
+    var elements, observer;
+    root = $(root) || $(document.body);
+    opts = opts || {};
+    elements = root.getElements('[data-carousel]');
+    if(root.match && root.match('[data-carousel]'))
+      elements.unshift(root);
+
+    if(opts.observe === true && window.MutationObserver && !root.retrieve('carousel:observer')){
+      observer = new MutationObserver(function(records){
+        records.each(function(record){
+          Array.from(record.removedNodes).each(function(node){
+            // A node that's moved, rather than removed, is still within the root
+            if(node.nodeType !== 1 || root.contains(node))
+              return;
+            node = $(node);
+            (node.match('[data-carousel]') ? [node] : []).concat(node.getElements('[data-carousel]')).each(function(element){
+              var carousel = Carousel.getInstance(element);
+              carousel && carousel.destroy();
+            });
+          });
+          Array.from(record.addedNodes).each(function(node){
+            if(node.nodeType === 1 && root.contains(node))
+              Carousel.init(node);
+          });
+        });
+      });
+      observer.observe(root, { childList:true, subtree:true });
+      root.store('carousel:observer', observer);
+    }
+
+    return elements.filter(function(element){
+      return !Carousel.getInstance(element);
+    }).map(function(element){
+      return new Carousel(element, Carousel.getOptionsFrom(element));
+    });
+  };
+
+  /**
+   * Stops watching a root observed through `Carousel.init`. Its carousels are kept.
+   *
+   * @memberof! module:Carousel
+   * @param {Element} [root=document.body] The root
+   */
+  Carousel.unobserve = function(root){
+    var observer;
+    root = $(root) || $(document.body);
+    if((observer = root.retrieve('carousel:observer'))){
+      observer.disconnect();
+      root.eliminate('carousel:observer');
+    }
+  };
+
+  /**
+   * Adds an effect to the Carousel.Effects registry
+   *
+   * @memberof! module:Carousel
+   * @param {String} name   The name, used as `options.effect`
+   * @param {Object} effect The effect, as described in Carousel.Effects
+   */
+  Carousel.defineEffect = function(name, effect){
+    Carousel.Effects[name] = effect;
+    return Carousel;
+  };
+
+
+
+  // requestAnimationFrame, falling back to a timer
+  var requestFrame = function(fn){
+    return (window.requestAnimationFrame || function(fn){ return setTimeout(fn, 16); })(fn);
+  };
+  var cancelFrame = function(id){
+    (window.cancelAnimationFrame || clearTimeout)(id);
+  };
+
+  // Easings for CSS names, and the MooTools names we need if Fx.Transitions isn't around
+  var EASINGS = {
+    'linear': function(p){ return p; },
+    'sine:in': function(p){ return 1 - Math.cos(p * Math.PI / 2); },
+    'sine:out': function(p){ return Math.sin(p * Math.PI / 2); },
+    'sine:in:out': function(p){ return 0.5 - (Math.cos(p * Math.PI) / 2); },
+    'ease': 'cubic-bezier(0.25, 0.1, 0.25, 1)',
+    'ease-in': 'cubic-bezier(0.42, 0, 1, 1)',
+    'ease-out': 'cubic-bezier(0, 0, 0.58, 1)',
+    'ease-in-out': 'cubic-bezier(0.42, 0, 0.58, 1)'
+  };
+
+  // Creates an easing function from the control points of a CSS cubic-bezier
+  var cubicBezier = function(x1, y1, x2, y2){
+    var sample = function(a1, a2, t){
+      return ((((1 - (3 * a2) + (3 * a1)) * t) + ((3 * a2) - (6 * a1))) * t * t) + (3 * a1 * t);
+    };
+    return function(x){
+      var t, lower, upper, i, current;
+      t = x;
+      lower = 0;
+      upper = 1;
+      // Bisect for t at x; it's dependable, and we only need a frame's worth of precision
+      for(i = 0; i < 20; i++){
+        current = sample(x1, x2, t);
+        if(Math.abs(current - x) < 0.0001)
+          break;
+        if(current < x)
+          lower = t;
+        else
+          upper = t;
+        t = (lower + upper) / 2;
+      }
+      return sample(y1, y2, t);
+    };
+  };
+
+
+
+  Carousel.Animator = new Class(/** @lends module:Carousel.Carousel.Animator.prototype */{
+    Implements: [Options],
+
+    /**
+     * @property {Object} options
+     * @memberof! module:Carousel.Carousel.Animator#
+     *
+     * @property {Number}          [options.duration=500]             The duration, in ms
+     * @property {String|Function} [options.transition=sine:in:out]   The easing, see Carousel.Animator.getEasing
+     */
+    options: {
+      duration: 500,
+      transition: 'sine:in:out'
+    },
+
+    /**
+     * A minimal requestAnimationFrame animator that eases a single value, used by the Carousel to move.
+     * It can be stopped midway, leaving the value where it is.
+     *
+     * @constructs Carousel.Animator
+     * @memberof! module:Carousel
+     * @param {Object} [options] The default options for each animation
+     */
+    initialize: function(options){
+      this.setOptions(options);
+    },
+
+    /**
+     * Starts animating from one value to another, stopping any current animation
+     *
+     * @memberof! module:Carousel.Carousel.Animator#
+     * @param {Number}   from       The value to start at
+     * @param {Number}   to         The value to end at
+     * @param {Object}   [opts]     Overrides of duration and transition for this animation
+     * @param {Function} step       Called with the value each frame
+     * @param {Function} [callback] Called once the value reaches `to`
+     */
+    start: function(from, to, opts, step, callback){
+      var self, duration, easing, started, frame;
+      self = this;
+      self.stop();
+      opts = Object.merge({}, self.options, Object.filter(opts || {}, function(value){ return value != null; }));
+      duration = opts.duration;
+      easing = Carousel.Animator.getEasing(opts.transition);
+      started = +new Date;
+      frame = function(){
+        var progress = duration > 0 ? Math.min(1, (+new Date - started) / duration) : 1;
+        self.now = from + ((to - from) * easing(progress));
+        step(self.now);
+        if(progress < 1){
+          self._frame = requestFrame(frame);
+        }else{
+          delete self._frame;
+          callback && callback();
+        }
+      };
+      self._frame = requestFrame(frame);
+      return self;
+    },
+
+    /**
+     * Animates a value from a velocity, which decays by friction each frame until it all but stops, like a flick.
+     * The step may return an object to override the `now` value and/or the `velocity`, to re-base or brake.
+     *
+     * @memberof! module:Carousel.Carousel.Animator#
+     * @param {Number}   from       The value to start at
+     * @param {Number}   velocity   The starting velocity, in units per ms
+     * @param {Number}   friction   The portion of the velocity kept each (16ms) frame
+     * @param {Function} step       Called with the value & velocity each frame
+     * @param {Function} [callback] Called once stopped
+     */
+    decay: function(from, velocity, friction, step, callback){
+      var self, last, frame;
+      self = this;
+      self.stop();
+      self.now = from;
+      last = +new Date;
+      frame = function(){
+        var now, elapsed, result;
+        now = +new Date;
+        elapsed = Math.max(1, now - last);
+        last = now;
+        velocity *= Math.pow(friction, elapsed / 16);
+        self.now += velocity * elapsed;
+        result = step(self.now, velocity) || {};
+        if(result.now != null)
+          self.now = result.now;
+        if(result.velocity != null)
+          velocity = result.velocity;
+        if(Math.abs(velocity) > 0.02){
+          self._frame = requestFrame(frame);
+        }else{
+          delete self._frame;
+          callback && callback();
+        }
+      };
+      self._frame = requestFrame(frame);
+      return self;
+    },
+
+    /**
+     * Stops the current animation where it is. The callback is not called.
+     *
+     * @memberof! module:Carousel.Carousel.Animator#
+     */
+    stop: function(){
+      if(this._frame != null)
+        cancelFrame(this._frame);
+      delete this._frame;
+      return this;
+    },
+
+    /**
+     * @memberof! module:Carousel.Carousel.Animator#
+     * @return {Boolean} Whether we're currently animating
+     */
+    isRunning: function(){
+      return this._frame != null;
     }
 
   });
 
+  /**
+   * Resolves a transition into an easing function. Accepts a function, a CSS `cubic-bezier(...)` or easing name,
+   * or a MooTools Fx transition name like 'sine:out' or 'back:in:out' (which need Fx.Transitions, other than sine & linear).
+   *
+   * @memberof! module:Carousel.Carousel.Animator
+   * @param {String|Function} transition The transition
+   * @return {Function} The easing, taking & returning progress from 0 to 1
+   */
+  Carousel.Animator.getEasing = function(transition){
+    var match, data, easing;
+    if(typeOf(transition) === 'function')
+      return transition;
+    transition = EASINGS[transition] || transition;
+    if(typeOf(transition) === 'function')
+      return transition;
+    if((match = String(transition).match(/^cubic-bezier\(([^)]+)\)$/)))
+      return cubicBezier.apply(null, match[1].split(',').map(Number));
+    if(window.Fx && Fx.Transitions && transition){
+      data = String(transition).split(':');
+      easing = Fx.Transitions[data[0]] || Fx.Transitions[data[0].capitalize()];
+      if(easing && data[1])
+        easing = easing['ease' + data[1].capitalize() + (data[2] ? data[2].capitalize() : '')];
+      if(typeOf(easing) === 'function')
+        return easing;
+    }
+    return EASINGS['sine:in:out'];
+  };
+
 
 
   Carousel.Nav = new Class(/** @lends module:Carousel.Carousel.Nav.prototype */{
     Extends: MooVeeStar.View,
 
     events: {
-      'click:relay(button)':'onButtonClick'
+      'click:relay(.carousel-nav-item)':'onButtonClick',
+      'keydown:relay(.carousel-nav-item)':'onButtonKeyDown',
+      'click:relay(.carousel-nav-previous)':'onArrowClick',
+      'click:relay(.carousel-nav-next)':'onArrowClick'
+    },
+
+    /**
+     * The accessible labels, merged with those passed in. `nav-item` & `counter` are substituted with `{index}` & `{total}`
+     */
+    labels: {
+      'nav': 'Choose a slide',
+      'nav-item': 'Slide {index}',
+      'previous': 'Previous slide',
+      'next': 'Next slide',
+      'counter': '{index} / {total}'
+    },
+
+    /**
+     * The nav's options, merged with those passed in.
+     *
+     * @property {Boolean}        [options.arrows=false]       Add previous & next buttons, disabled at the ends unless looping
+     * @property {Boolean}        [options.counter=false]      Add a counter of the current slide, "3 / 8"
+     * @property {Boolean}        [options.titles=false]       Show each item's title, from the `data-title` of the slide, rather than a dot.
+     *                                                         Titles always label the items when there are some.
+     * @property {Boolean}        [options.progress=false]     Add a bar that fills over the carousel's `delay`, while the timer runs
+     * @property {Boolean|Number} [options.dynamic-dots=false] When there are more slides than this, only show this many dots around the
+     *                                                         selected one, shrinking those at the edges. `true` is 5.
+     * @property {Boolean}        [options.loop=false]         If the carousel loops, so the arrows are never disabled. Set by the Carousel.
+     * @property {Boolean}        [options.rtl=false]          If the carousel is right-to-left, so the arrows & arrow keys are mirrored. Set by the Carousel.
+     * @property {Object}         [options.templates]          Custom markup for the `item`, `previous`, `next` & `counter`. Each is the name of
+     *                                                         a MooVeeStar template, or a function, given `{index, total, title, label}`.
+     */
+    options: {
+      arrows: false,
+      counter: false,
+      titles: false,
+      progress: false,
+      'dynamic-dots': false,
+      loop: false,
+      rtl: false,
+      templates: {}
     },
 
     /**
      * Carousel nav is a quick nav implementation. This has nothing to do with the actual Carousel,
      * which simply listens for events this fires and updates it's instance automatically
-     * 
+     *
      * @constructs Carousel.Nav
      * @extends MooVeeStar.View
      * @memberof! module:Carousel
      * @param {Number} numOfSlides The number of slides. Get's passed to update
+     * @param {Object} [labels]    Overrides for the accessible labels
+     * @param {Object} [options]   The options, defined above
      */
-    initialize: function(numOfSlides){
+    initialize: function(numOfSlides, labels, options){
       var self;
       self = this;
-      self.element = new Element('nav.carousel-nav');
+      self.labels = Object.merge({}, self.labels, labels);
+      self.options = Object.merge({}, self.options, options);
+      self.element = new Element('nav.carousel-nav').set('aria-label', self.labels.nav);
+      if(self.options.rtl === true)
+        self.element.set('dir', 'rtl');
+      self.items = new Element('span.carousel-nav-items').inject(self.element);
+      if(self.options.arrows === true){
+        self.previous = self._render('previous', { label:self.labels.previous }, new Element('button[type=button]', { text:self.options.rtl === true ? '\u203A' : '\u2039' }));
+        self.next = self._render('next', { label:self.labels.next }, new Element('button[type=button]', { text:self.options.rtl === true ? '\u2039' : '\u203A' }));
+        self.previous.addClass('carousel-nav-previous').set('aria-label', self.labels.previous).inject(self.element, 'top');
+        self.next.addClass('carousel-nav-next').set('aria-label', self.labels.next).inject(self.element);
+      }
+      // The counter is for sight; the carousel announces slide changes itself
+      if(self.options.counter === true)
+        self.counter = new Element('span.carousel-nav-counter[aria-hidden=true]').inject(self.items, 'after');
+      if(self.options.progress === true)
+        self.progress = new Element('span.carousel-nav-progress[aria-hidden=true]').grab(new Element('span')).inject(self.element);
+      self.element.addClass('-has-titles-'+(self.options.titles === true));
       self.parent(new MooVeeStar.Model({}));
       self.update(numOfSlides).setSelected();
     },
 
     /**
      * Sets the selected item by index
-     * 
+     *
      * @memberof! module:Carousel.Carousel.Nav#
      * @param {Number} index The index of the selected slide
      */
     setSelected: function(index){
-      var self, children;
+      var self, children, max, first;
       self = this;
-      children = self.element.getChildren();
-      children.removeClass('-selected');
-      if(children[index || 0])
-        children[index || 0].addClass('-selected');
+      index = index || 0;
+      children = self.items.getChildren();
+      children.removeClass('-selected').removeProperty('aria-current');
+      if(children[index])
+        children[index].addClass('-selected').set('aria-current', 'true');
+
+      // Dynamic dots show a window of dots around the selected one, shrinking those at the window's edges
+      // when there are more beyond
+      children.removeClass('-collapsed').removeClass('-edge');
+      max = self.options['dynamic-dots'] === true ? 5 : self.options['dynamic-dots'];
+      if(typeOf(max) === 'number' && children.length > max){
+        first = Math.max(0, Math.min(index - Math.floor(max / 2), children.length - max));
+        children.each(function(child, i){
+          if(i < first || i >= first + max)
+            child.addClass('-collapsed');
+          else if((i === first && i > 0) || (i === first + max - 1 && i < children.length - 1))
+            child.addClass('-edge');
+        });
+      }
+
+      if(self.previous){
+        self.previous.set('disabled', !self.options.loop && index <= 0);
+        self.next.set('disabled', !self.options.loop && index >= children.length - 1);
+      }
+      if(self.counter)
+        self._renderCounter(index, children.length);
       return this;
     },
 
     /**
-     * Empties and reattached nav items based on the number passed in
-     * 
+     * Adds or removes nav items to match the number passed in. Existing items are kept, and relabeled
+     * since the total may have changed. The selection is kept if it still exists.
+     *
      * @memberof! module:Carousel.Carousel.Nav#
      * @param {Number} numOfSlides The number of slides
+     * @param {Array}  [titles]    The title of each slide, if it has one
      */
-    update: function(numOfSlides){
-      var self, frag, i;
+    update: function(numOfSlides, titles){
+      var self, children, selected, frag, i;
       self = this;
+      numOfSlides = numOfSlides || 0;
+      titles = titles || [];
+      children = self.items.getChildren();
+      selected = children.indexOf(self.items.getElement('.-selected'));
       frag = document.createDocumentFragment();
-      for(i = 0; i < numOfSlides || 0; i++){
-        frag.appendChild(new Element('button[text="'+i+'"]'));
+      // Titles may have changed, so redraw them all when they're part of the markup
+      if(self.options.titles === true || self.options.templates.item)
+        children.destroy();
+      else
+        new Elements(children.slice(numOfSlides)).destroy();
+      for(i = self.items.getChildren().length; i < numOfSlides; i++)
+        frag.appendChild(self._renderItem(i, numOfSlides, titles[i]));
+      self.items.appendChild(frag);
+      self.items.getChildren().each(function(button, index){
+        button.set('aria-label', titles[index] || self.labels['nav-item'].substitute({ index:index+1, total:numOfSlides }));
+      });
+      self.element.set('data-slides', numOfSlides);
+      self.setSelected(selected !== -1 && selected < numOfSlides ? selected : 0);
+      return this;
+    },
+
+    /**
+     * Shows the timer's progress, filling the bar over what remains of the delay while it runs. Nothing
+     * without `options.progress`.
+     *
+     * @memberof! module:Carousel.Carousel.Nav#
+     * @param {Number}  delay     The timer's delay, in ms
+     * @param {Number}  remaining How much of the delay remains, in ms
+     * @param {Boolean} running   If the timer is running
+     */
+    setProgress: function(delay, remaining, running){
+      var self, bar;
+      self = this;
+      if(!self.progress)
+        return this;
+      bar = self.progress.getFirst();
+      bar.setStyles({ 'transition':'none', 'transform':'scaleX('+(delay > 0 ? 1 - remaining / delay : 0)+')' });
+      self.progress.toggleClass('-running', !!running);
+      if(running){
+        // Force a reflow, so the transition runs from where we've just set it
+        bar.offsetWidth;
+        bar.setStyles({ 'transition':'transform '+remaining+'ms linear', 'transform':'scaleX(1)' });
       }
-      self.element.empty().appendChild(frag);
-      self.setSelected(0);
       return this;
     },
 
+    /**
+     * Renders a nav item; a dot, its title, or from `options.templates.item`
+     *
+     * @param {Number} index   The index
+     * @param {Number} total   The number of slides
+     * @param {String} [title] The slide's title
+     * @return {Element} The item
+     */
+    _renderItem: function(index, total, title){
+      var self, fallback;
+      self = this;
+      fallback = new Element('button[type=button]', { text:self.options.titles === true && title ? title : String(index) });
+      return self._render('item', { index:index+1, total:total, title:title || null }, fallback).addClass('carousel-nav-item');
+    },
+
+    /**
+     * Renders the counter, from `labels.counter` or `options.templates.counter`
+     *
+     * @param {Number} index The index of the selected slide
+     * @param {Number} total The number of slides
+     */
+    _renderCounter: function(index, total){
+      var self, data;
+      self = this;
+      data = { index:Math.min(index+1, total), total:total };
+      if(self.options.templates.counter)
+        self.counter.empty().grab(self._render('counter', data));
+      else
+        self.counter.set('text', self.labels.counter.substitute(data));
+    },
+
+    /**
+     * Renders from `options.templates`, if there's one for the name, or gives back the fallback. A template can
+     * be a function returning an element or markup, or the name of a MooVeeStar template.
+     *
+     * @param {String}  name       The template's key in `options.templates`
+     * @param {Object}  data       The data to render with
+     * @param {Element} [fallback] The element to use without a template
+     * @return {Element} The element
+     */
+    _render: function(name, data, fallback){
+      var template, element;
+      template = this.options.templates[name];
+      if(!template)
+        return fallback;
+      element = typeOf(template) === 'function' ? template(data) : MooVeeStar.templates.inflate(template, data);
+      if(typeOf(element) === 'string')
+        element = new Element('div', { html:element }).getFirst();
+      else if(typeOf(element) === 'elements' || typeOf(element) === 'array')
+        element = element[0];
+      else if(element && element.nodeType === 11)
+        element = $(element.firstElementChild);
+      return $(element) || fallback;
+    },
+
     /**
      * When we click, we want "choose" the item.
-     * 
+     *
      * @memberof! module:Carousel.Carousel.Nav#
      * @param {Event} e The mootools click event
      * @param {Element} target The button target clicked
@@ -651,8 +3312,54 @@
     onButtonClick: function(e, target){
       var self;
       self = this;
-      self.fireEvent('choose', { index:self.element.getChildren().indexOf(target) || 0 });
+      self.fireEvent('choose', { index:self.items.getChildren().indexOf(target) || 0 });
       e.stop();
+    },
+
+    /**
+     * When we click an arrow, we "choose" a direction rather than an index
+     *
+     * @memberof! module:Carousel.Carousel.Nav#
+     * @param {Event} e The mootools click event
+     * @param {Element} target The arrow clicked
+     */
+    onArrowClick: function(e, target){
+      var self, index, total, direction;
+      self = this;
+      e.stop();
+      if(target.get('disabled'))
+        return;
+      total = self.items.getChildren().length;
+      index = self.items.getChildren().indexOf(self.items.getElement('.-selected'));
+      direction = target === self.previous ? -1 : 1;
+      self.fireEvent('choose', { index:self.options.loop ? (index + direction + total) % total : Math.max(0, Math.min(index + direction, total - 1)), direction:direction });
+    },
+
+    /**
+     * The arrow keys focus and choose the previous or next button, and Home & End the first or last.
+     *
+     * @memberof! module:Carousel.Carousel.Nav#
+     * @param {Event} e The mootools keydown event
+     * @param {Element} target The button target focused
+     */
+    onButtonKeyDown: function(e, target){
+      var self, children, index;
+      self = this;
+      children = self.items.getChildren();
+      index = children.indexOf(target);
+      if(e.key === (self.options.rtl === true ? 'right' : 'left') || e.key === 'up')
+        index = Math.max(index - 1, 0);
+      else if(e.key === (self.options.rtl === true ? 'left' : 'right') || e.key === 'down')
+        index = Math.min(index + 1, children.length - 1);
+      else if(e.code === KEYS.home)
+        index = 0;
+      else if(e.code === KEYS.end)
+        index = children.length - 1;
+      else
+        return;
+      e.preventDefault();
+      children[index].focus();
+      self.fireEvent('choose', { index:index });
     }
 
   });
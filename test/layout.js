@@ -0,0 +1,70 @@
+/**
+ * Checks Carousel.Layout's slide math without a browser. Run with `node test/layout.js`.
+ */
+;(function(){
+
+  "use strict";
+
+  var assert = require('assert');
+  var Layout = require('../src/mvs-carousel-layout.js');
+
+  var layout;
+
+  // Children laid end to end, with the ends sticky
+  layout = Layout.calculate({ 'stage-size':1000, children:[300, 300, 300, 300] }, { 'slide-alignment':'start' });
+  assert.strictEqual(layout.slides, 2);
+  assert.strictEqual(Layout.getSlideTarget(layout, 0), 0);
+  assert.strictEqual(Layout.getSlideTarget(layout, 1), 200);
+  assert.deepEqual(Layout.getBounds(layout), { min:0, max:200 });
+
+  // Percentage children the browser has rounded to whole pixels, either side of the stage size
+  layout = Layout.calculate({ 'stage-size':1000, children:[333, 333, 333] });
+  assert.strictEqual(layout.slides, 1);
+  assert.strictEqual(layout['slide-size'], 1000);
+  layout = Layout.calculate({ 'stage-size':1000, children:[333, 334, 333, 333, 334, 333] });
+  assert.strictEqual(layout.slides, 2);
+  assert.strictEqual(layout['slide-size'], 1000);
+  assert.strictEqual(Layout.getSlideTarget(layout, 1), 1000);
+  assert.strictEqual(Layout.getSlideIndexOf(layout, 3), 1);
+
+  // A percentage slide size
+  layout = Layout.calculate({ 'stage-size':1000, children:[250, 250, 250, 250, 250, 250] }, { 'slide-size':'50%' });
+  assert.strictEqual(layout['slide-size'], 500);
+  assert.strictEqual(layout.slides, 3);
+
+  // Zero-size slides, as when hidden, are still a single slide
+  layout = Layout.calculate({ 'stage-size':1000, children:[0, 0, 0] });
+  assert.strictEqual(layout.slides, 1);
+  assert.strictEqual(Layout.getSlideIndexOf(layout, 2), 0);
+  assert.strictEqual(Layout.getSlideTarget(layout, 0), 0);
+  assert.deepEqual(Layout.getBounds(layout), { min:0, max:0 });
+
+  // Slides that all fit within the stage stick to the start
+  layout = Layout.calculate({ 'stage-size':1000, children:[300, 300] });
+  assert.strictEqual(Layout.getSlideTarget(layout, 0), 0);
+  assert.deepEqual(Layout.getBounds(layout), { min:0, max:0 });
+  layout = Layout.calculate({ 'stage-size':0, children:[0, 0] });
+  assert.strictEqual(layout.slides, 1);
+  assert.strictEqual(Layout.getSlideTarget(layout, 0), 0);
+
+  // Nothing measured yet
+  layout = Layout.calculate({});
+  assert.strictEqual(layout.slides, 1);
+  assert.strictEqual(Layout.getSlideTarget(layout, 0), 0);
+
+  // Mixed sizes, paged for multiple-flex & aligned per child for single-flex
+  layout = Layout.calculate({ 'stage-size':500, children:[200, 300, 400, 100] }, { 'slide-mode':'multiple-flex' });
+  assert.strictEqual(layout.slides, 2);
+  assert.deepEqual(layout.pages, [{ start:0, end:500, offset:0 }, { start:500, end:1000, offset:0 }]);
+  layout = Layout.calculate({ 'stage-size':500, children:[200, 300, 400, 100] }, { 'slide-mode':'single-flex' });
+  assert.deepEqual([0, 1, 2, 3].map(function(index){ return Layout.getSlideTarget(layout, index); }), [0, 100, 450, 500]);
+
+  // Looping wraps indices, and has no ends
+  layout['loop-size'] = 1000;
+  assert.deepEqual(Layout.resolveIndex(layout, 4), { index:0, wraps:1 });
+  assert.deepEqual(Layout.resolveIndex(layout, -1), { index:3, wraps:-1 });
+  assert.deepEqual(Layout.getBounds(layout), { min:-Infinity, max:Infinity });
+
+  console.log('Carousel.Layout: ok');
+
+})();